@@ -0,0 +1,99 @@
+import fs from 'fs';
+import { createSinks } from './sinks/index.mjs';
+
+// An account is a set of sinks plus a filter deciding which games it posts.
+// Accounts come from the JSON file named by ACCOUNTS_FILE, e.g.
+//   [
+//     { "name": "main", "sinks": ["bluesky"] },
+//     {
+//       "name": "leafs",
+//       "sinks": [{ "type": "bluesky", "identifier": "leafs-goals.bsky.social", "passwordEnv": "LEAFS_BLUESKY_PASSWORD" }],
+//       "filter": { "teams": ["TOR"] }
+//     },
+//     { "name": "playoffs", "sinks": ["console"], "filter": { "playoffsOnly": true } }
+//   ]
+// Without a file there is a single unfiltered account using the SINKS list.
+
+const PLAYOFF_GAME_TYPE = 3;
+
+export function loadAccounts(file, defaultSinks) {
+  if (!file) {
+    return [{ name: 'default', sinks: defaultSinks, filter: {} }];
+  }
+
+  let accounts;
+  try {
+    accounts = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read accounts file ${file}: ${error.message}`);
+  }
+
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new Error(`Accounts file ${file} must contain a non-empty array of accounts`);
+  }
+
+  const names = new Set();
+  for (const account of accounts) {
+    if (!account.name || names.has(account.name)) {
+      throw new Error(`Every account in ${file} needs a unique name`);
+    }
+    if (!Array.isArray(account.sinks) || account.sinks.length === 0) {
+      throw new Error(`Account "${account.name}" must list at least one sink`);
+    }
+    names.add(account.name);
+  }
+
+  return accounts.map(account => {
+    const filter = { ...account.filter };
+    if (filter.teams) {
+      filter.teams = filter.teams.map(team => team.toUpperCase());
+    }
+    return { ...account, filter };
+  });
+}
+
+// Creates every account's sinks and tags each one with its account and filter.
+// Sinks of named accounts are prefixed with the account name so threads and
+// post references in state stay separate per account.
+export function createAccountSinks(accounts, env = process.env) {
+  return accounts.flatMap(account => {
+    const specs = account.sinks.map(spec => {
+      const options = typeof spec === 'string' ? { type: spec } : { ...spec };
+      if (account.name !== 'default') {
+        options.name = `${account.name}/${options.name || options.type}`;
+      }
+      return options;
+    });
+
+    return createSinks(specs, env).map(sink => {
+      sink.account = account.name;
+      sink.filter = account.filter;
+      return sink;
+    });
+  });
+}
+
+export function getGameInfo(scheduleGame) {
+  return {
+    id: scheduleGame.id,
+    gameType: scheduleGame.gameType,
+    teams: [scheduleGame.awayTeam?.abbrev, scheduleGame.homeTeam?.abbrev].filter(Boolean)
+  };
+}
+
+// Every condition present in the filter must match; an empty filter matches every game
+export function matchesFilter(filter = {}, game) {
+  if (!game) {
+    return true;
+  }
+  if (filter.teams?.length && !game.teams.some(team => filter.teams.includes(team))) {
+    return false;
+  }
+  if (filter.gameIds?.length && !filter.gameIds.includes(game.id)) {
+    return false;
+  }
+  if (filter.playoffsOnly && game.gameType !== PLAYOFF_GAME_TYPE) {
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,107 @@
+import fetch from 'node-fetch';
+import * as clock from './clock.mjs';
+import { config } from './config.mjs';
+
+// JSON client for the NHL API. Responses are cached in memory and revalidated with
+// ETag / If-Modified-Since, so an unchanged play-by-play costs a 304 instead of a
+// full download. Concurrent requests for the same path share one fetch, and every
+// request is aborted after a timeout. Cached data is shared between callers and
+// must not be modified.
+
+const MAX_CACHE_ENTRIES = 200;
+
+export function createApiClient({
+  baseUrl,
+  fetch: fetchImpl = fetch,
+  timeout
+} = {}) {
+  const cache = new Map();
+  const inFlight = new Map();
+
+  function remember(path, entry) {
+    // Re-inserting keeps the map in least recently used order
+    cache.delete(path);
+    cache.set(path, entry);
+    while (cache.size > MAX_CACHE_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  async function request(path, cached) {
+    const headers = {};
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached?.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    // Like the base URL, the timeout is read per request so a loaded config applies
+    // to a client built at import time
+    const timeoutMs = timeout || config.API_TIMEOUT;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(`${baseUrl || config.API_BASE_URL}${path}`, {
+        headers,
+        signal: controller.signal
+      });
+
+      if (response.status === 304 && cached) {
+        remember(path, { ...cached, fetchedAt: clock.now() });
+        return cached.data;
+      }
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const contentType = response.headers.get('Content-Type');
+      if (!contentType || !contentType.includes('application/json')) {
+        throw new Error(`Unexpected Content-Type: ${contentType}`);
+      }
+
+      const data = await response.json();
+      remember(path, {
+        data,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        fetchedAt: clock.now()
+      });
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timed out after ${timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    // maxAge serves the cached copy without asking the API while it's that fresh
+    async getJson(path, { maxAge = 0 } = {}) {
+      const cached = cache.get(path);
+      if (cached && clock.now() - cached.fetchedAt < maxAge) {
+        return cached.data;
+      }
+      if (inFlight.has(path)) {
+        return inFlight.get(path);
+      }
+
+      const pending = request(path, cached).finally(() => inFlight.delete(path));
+      inFlight.set(path, pending);
+      return pending;
+    },
+
+    clearCache() {
+      cache.clear();
+    },
+
+    getCacheSize() {
+      return cache.size;
+    }
+  };
+}
@@ -0,0 +1,34 @@
+// All bot timing goes through this clock so replays can run on simulated time
+const realClock = {
+  now: () => Date.now(),
+  delay: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+let activeClock = realClock;
+
+export function now() {
+  return activeClock.now();
+}
+
+export function delay(ms) {
+  return activeClock.delay(ms);
+}
+
+export function setClock(clock) {
+  activeClock = clock || realClock;
+}
+
+// A clock that only moves when told to: delay() jumps time forward instead of waiting
+export function createSimulatedClock(startTime = Date.now()) {
+  let currentTime = startTime;
+
+  return {
+    now: () => currentTime,
+    delay: async ms => {
+      currentTime += ms;
+    },
+    advanceTo(time) {
+      currentTime = Math.max(currentTime, time);
+    }
+  };
+}
@@ -0,0 +1,316 @@
+import { config } from './config.mjs';
+import { enqueuePost, createTokenBucket, PRIORITY } from './post-queue.mjs';
+import { fetchScores, fetchScheduleForDate, fetchStandings, fetchSkaterLeaders } from './nhl-api.mjs';
+import { isPreGameState, isLiveState, isFinalState, formatPeriodName } from './lifecycle.mjs';
+import { countGraphemes, fitToLimit, localizeName } from './templates.mjs';
+import { getHockeyDate, addDays, formatEasternClock } from './utils.mjs';
+import { isKnownTeam } from './rich-text.mjs';
+import { canNotify, followTeams, unfollowTeams, getFollowedTeams } from './subscriptions.mjs';
+import { incrementCounter } from './metrics.mjs';
+import { logger, withLogContext } from './logger.mjs';
+
+// Answers questions sent to the bot, e.g.
+//   @nhl-goal-bot score TOR
+//   @nhl-goal-bot schedule tomorrow
+//   @nhl-goal-bot standings atlantic
+//   @nhl-goal-bot leaders goals
+//   @nhl-goal-bot follow TOR
+// Sinks that can receive messages call handleMessage with each mention, reply or DM:
+//   { id, sink, userId, author, text, direct, reply(text) }
+// direct is only true for DMs. Mentions and replies to the bot's posts are public, so
+// they're only answered when they start with a command and its arguments make sense.
+// Answers go through the post queue behind game posts, and each user gets
+// COMMAND_BURST commands before being held to COMMANDS_PER_HOUR.
+
+const MAX_TRACKED_USERS = 1000;
+
+const standingsGroups = {
+  league: { label: 'League', filter: () => true, order: 'leagueSequence' },
+  eastern: { label: 'Eastern Conference', filter: team => team.conferenceName === 'Eastern', order: 'conferenceSequence' },
+  western: { label: 'Western Conference', filter: team => team.conferenceName === 'Western', order: 'conferenceSequence' },
+  atlantic: { label: 'Atlantic Division', filter: team => team.divisionName === 'Atlantic', order: 'divisionSequence' },
+  metropolitan: { label: 'Metropolitan Division', filter: team => team.divisionName === 'Metropolitan', order: 'divisionSequence' },
+  central: { label: 'Central Division', filter: team => team.divisionName === 'Central', order: 'divisionSequence' },
+  pacific: { label: 'Pacific Division', filter: team => team.divisionName === 'Pacific', order: 'divisionSequence' }
+};
+const standingsAliases = { east: 'eastern', west: 'western', metro: 'metropolitan', nhl: 'league' };
+
+const leaderCategories = ['points', 'goals', 'assists'];
+
+const userBuckets = new Map();
+
+// 'TOR 2 - 1 MTL (2nd 12:34)', 'TOR @ MTL 7:00 PM ET', 'TOR 3 - 2 MTL (Final/OT)'
+function formatGameLine(game) {
+  const away = game.awayTeam.abbrev;
+  const home = game.homeTeam.abbrev;
+  if (isPreGameState(game.gameState)) {
+    return `${away} @ ${home} ${formatEasternClock(new Date(game.startTimeUTC))} ET`;
+  }
+
+  const score = `${away} ${game.awayTeam.score ?? 0} - ${game.homeTeam.score ?? 0} ${home}`;
+  if (isLiveState(game.gameState)) {
+    const period = game.periodDescriptor ? formatPeriodName(game.periodDescriptor) : null;
+    const gameClock = game.clock?.inIntermission ? 'INT' : game.clock?.timeRemaining;
+    return `${score} (${[period, gameClock].filter(Boolean).join(' ') || 'live'})`;
+  }
+  if (isFinalState(game.gameState)) {
+    const lastPeriod = game.gameOutcome?.lastPeriodType;
+    return `${score} (Final${lastPeriod && lastPeriod !== 'REG' ? `/${lastPeriod}` : ''})`;
+  }
+  return `${away} @ ${home} (${game.gameState})`;
+}
+
+// Adds lines under the heading while they fit, ending with '…' when some are left out
+function formatList(heading, lines) {
+  const kept = [heading];
+  for (const [i, line] of lines.entries()) {
+    const candidate = [...kept, line];
+    const remaining = lines.length - i - 1;
+    if (countGraphemes([...candidate, ...(remaining > 0 ? ['…'] : [])].join('\n')) > config.MAX_POST_LENGTH) {
+      kept.push('…');
+      break;
+    }
+    kept.push(line);
+  }
+  return kept.join('\n');
+}
+
+function isTeam(word) {
+  return isKnownTeam(word.toUpperCase());
+}
+
+function findTeamGames(games, team) {
+  return team
+    ? games.filter(game => game.awayTeam.abbrev === team || game.homeTeam.abbrev === team)
+    : games;
+}
+
+async function answerScore(args) {
+  const team = args.find(isTeam)?.toUpperCase();
+  const data = await fetchScores();
+  const games = findTeamGames(data.games || [], team);
+  if (games.length === 0) {
+    return team ? `${team} doesn't play today.` : 'No NHL games today.';
+  }
+  return formatList(team ? `${team} today:` : "Today's games:", games.map(formatGameLine));
+}
+
+function parseDay(word) {
+  // After midnight ET, 'today' still means the night's games until the hockey day ends
+  if (!word || word === 'today') {
+    return getHockeyDate();
+  }
+  if (word === 'tomorrow') {
+    return addDays(getHockeyDate(), 1);
+  }
+  if (word === 'yesterday') {
+    return addDays(getHockeyDate(), -1);
+  }
+  return /^\d{4}-\d{2}-\d{2}$/.test(word) ? word : null;
+}
+
+function isDay(word) {
+  return parseDay(word) !== null;
+}
+
+async function answerSchedule(args) {
+  const dayWord = args.find(word => !isTeam(word));
+  const date = parseDay(dayWord);
+  if (!date) {
+    return `I can't read the date "${dayWord}". Try today, tomorrow or YYYY-MM-DD.`;
+  }
+
+  const team = args.find(word => isTeam(word) && word !== dayWord)?.toUpperCase();
+  const data = await fetchScheduleForDate(date);
+  const day = (data.gameWeek || []).find(week => week.date === date);
+  const games = findTeamGames(day?.games || [], team);
+  if (games.length === 0) {
+    return `No ${team ? `${team} game` : 'NHL games'} on ${date}.`;
+  }
+  return formatList(`${team ? `${team} on` : 'Games on'} ${date}:`, games.map(formatGameLine));
+}
+
+async function answerStandings(args) {
+  const word = args[0] || 'league';
+  const groupName = Object.hasOwn(standingsAliases, word) ? standingsAliases[word] : word;
+  const group = Object.hasOwn(standingsGroups, groupName) ? standingsGroups[groupName] : null;
+  if (!group) {
+    return `Unknown standings "${word}". Try ${Object.keys(standingsGroups).join(', ')}.`;
+  }
+
+  const data = await fetchStandings();
+  const teams = (data.standings || [])
+    .filter(group.filter)
+    .sort((a, b) => a[group.order] - b[group.order]);
+  if (teams.length === 0) {
+    return 'No standings are available right now.';
+  }
+  return formatList(`${group.label} standings:`, teams.map((team, i) =>
+    `${i + 1}. ${team.teamAbbrev.default} ${team.points} pts (${team.gamesPlayed} GP)`
+  ));
+}
+
+async function answerLeaders(args) {
+  const category = args[0] || 'points';
+  if (!leaderCategories.includes(category)) {
+    return `Unknown leaders "${category}". Try ${leaderCategories.join(', ')}.`;
+  }
+
+  const data = await fetchSkaterLeaders(category);
+  const leaders = data[category] || [];
+  if (leaders.length === 0) {
+    return 'No leaders are available right now.';
+  }
+  return formatList(`NHL ${category} leaders:`, leaders.map((player, i) =>
+    `${i + 1}. ${localizeName(player.firstName)} ${localizeName(player.lastName)} (${player.teamAbbrev}) ${player.value}`
+  ));
+}
+
+async function answerFollow(args, message) {
+  if (!canNotify(message.sink)) {
+    return "Sorry, I can't send goal alerts from this account.";
+  }
+  const teams = args.map(word => word.toUpperCase());
+  if (teams.length === 0) {
+    return 'Which team? Try "follow TOR".';
+  }
+  const unknown = teams.filter(team => !isKnownTeam(team));
+  if (unknown.length > 0) {
+    return `I don't know ${unknown.join(', ')}. Use team abbreviations like TOR or MTL.`;
+  }
+
+  const followed = await followTeams(message.sink, message.userId, message.author, teams);
+  return `Following ${followed.join(', ')}. I'll DM you their games' goals if your chat settings let me message you. ` +
+    'Send "unfollow TOR" to drop a team or "stop" to stop them all.';
+}
+
+// 'unfollow', 'unfollow all' and 'stop' drop every team
+async function answerUnfollow(args, message) {
+  const teams = args.filter(word => word !== 'all').map(word => word.toUpperCase());
+  const before = getFollowedTeams(message.sink, message.userId);
+  if (before.length === 0) {
+    return "You're not following any teams.";
+  }
+  const left = await unfollowTeams(message.sink, message.userId, teams.length > 0 ? teams : null);
+  return left.length > 0
+    ? `Still following ${left.join(', ')}.`
+    : "Stopped. I won't DM you about goals any more.";
+}
+
+async function answerFollowing(args, message) {
+  const teams = getFollowedTeams(message.sink, message.userId);
+  return teams.length > 0
+    ? `You're following ${teams.join(', ')}.`
+    : `You're not following any teams. Try "follow TOR".`;
+}
+
+// accepts(args) says whether the arguments read as the command. Public messages that
+// merely start with a command word, like "score was 3-1 before the review", don't.
+const commands = {
+  score: { usage: 'score [team]', run: answerScore, accepts: args => args.length <= 1 && args.every(isTeam) },
+  schedule: {
+    usage: 'schedule [today|tomorrow|YYYY-MM-DD] [team]',
+    run: answerSchedule,
+    accepts: args => args.filter(isDay).length <= 1 && args.filter(isTeam).length <= 1 &&
+      args.every(word => isDay(word) || isTeam(word))
+  },
+  standings: {
+    usage: 'standings [division|conference]',
+    run: answerStandings,
+    accepts: args => args.length === 0 || (args.length === 1 &&
+      (Object.hasOwn(standingsGroups, args[0]) || Object.hasOwn(standingsAliases, args[0])))
+  },
+  leaders: {
+    usage: 'leaders [points|goals|assists]',
+    run: answerLeaders,
+    accepts: args => args.length === 0 || (args.length === 1 && leaderCategories.includes(args[0]))
+  },
+  follow: { usage: 'follow <team>', run: answerFollow, accepts: args => args.length > 0 && args.every(isTeam) },
+  unfollow: { usage: 'unfollow <team|all>', run: answerUnfollow, accepts: args => args.every(word => word === 'all' || isTeam(word)) },
+  stop: { usage: 'stop', run: answerUnfollow, accepts: args => args.length === 0 },
+  following: { usage: 'following', run: answerFollowing, accepts: args => args.length === 0 },
+  help: { usage: 'help', run: async () => formatHelp(), accepts: args => args.length === 0 }
+};
+
+function formatHelp() {
+  return formatList('Ask me:', Object.values(commands).map(command => command.usage));
+}
+
+// '@nhl-goal-bot score TOR?' -> { name: 'score', args: ['tor'] }
+export function parseCommand(text) {
+  const words = text
+    .replace(/@[\w.-]+/g, ' ')
+    .toLowerCase()
+    .replace(/[?!,;]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  return { name: words[0] || null, args: words.slice(1) };
+}
+
+function takeUserToken(author) {
+  const bucket = userBuckets.get(author) || createTokenBucket({
+    capacity: config.COMMAND_BURST,
+    refillInterval: 60 * 60 * 1000 / config.COMMANDS_PER_HOUR
+  });
+  // Re-inserting keeps the map in order of last use, so the users seen longest ago
+  // are forgotten first; a new bucket starts full anyway
+  userBuckets.delete(author);
+  userBuckets.set(author, bucket);
+  if (userBuckets.size > MAX_TRACKED_USERS) {
+    userBuckets.delete(userBuckets.keys().next().value);
+  }
+  return bucket.take();
+}
+
+export async function handleMessage(message) {
+  const { name, args } = parseCommand(message.text || '');
+  const command = Object.hasOwn(commands, name) ? commands[name] : null;
+  if (!message.direct && !command?.accepts(args)) {
+    return;
+  }
+
+  await withLogContext({ commandFrom: message.author, command: name }, async () => {
+    if (!takeUserToken(message.author)) {
+      incrementCounter('commands_total', { command: command ? name : 'unknown', result: 'rate_limited' });
+      logger.info('Ignoring command, user is over the rate limit');
+      return;
+    }
+
+    let text;
+    let result = 'answered';
+    if (!command) {
+      text = name ? `Sorry, I don't know "${name}".\n${formatHelp()}` : formatHelp();
+      result = 'unknown';
+    } else {
+      try {
+        text = await command.run(args, message);
+      } catch (error) {
+        logger.error('Error answering command', { error });
+        text = "Sorry, I couldn't reach the NHL API. Try again in a few minutes.";
+        result = 'error';
+      }
+    }
+    incrementCounter('commands_total', { command: command ? name : 'unknown', result });
+
+    logger.info('Queueing command reply', { text });
+    enqueuePost({
+      key: `command-${message.id}`,
+      sink: message.sink,
+      priority: PRIORITY.LOW,
+      // Descriptions end up in the dead letters on /state, so they leave out who asked what
+      description: command ? `reply to a ${name} command` : 'reply with the command list',
+      send: async () => (await message.reply(fitToLimit(text))) || null
+    });
+  });
+}
+
+// Hooks every sink that can receive messages up to the command handler
+export function startCommands(sinks) {
+  const listening = sinks.filter(sink => sink.listen);
+  for (const sink of listening) {
+    sink.listen(message => handleMessage({ ...message, sink: sink.name }).catch(error => {
+      logger.error('Error handling message', { sink: sink.name, error });
+    }));
+  }
+  logger.info('Listening for commands', { sinks: listening.map(sink => sink.name) });
+}
@@ -0,0 +1,279 @@
+import fs from 'fs';
+import { logger, setLogLevel, addSecretValue } from './logger.mjs';
+
+// Configuration. These are the defaults; loadConfig() overrides them from the JSON
+// file named by CONFIG_FILE, then from environment variables of the same name, e.g.
+//   { "POLL_INTERVAL": 30000, "BLUESKY_SERVICE": "https://pds.example.com", "LIFECYCLE_POSTS": ["start", "final"] }
+//   POLL_INTERVAL=30000 BLUESKY_IDENTIFIER=staging-goals.bsky.social node index.mjs
+// Lists are comma-separated in the environment and maps are KEY=value pairs.
+export const config = {
+  INITIAL_DELAY: 45000,
+  MAX_UPDATES: 2,
+  // Bluesky allows 5,000 write points an hour and a post costs 3, so stay well under 1,666 posts
+  POSTS_PER_HOUR: 1200, // per sink
+  POST_BURST: 10, // posts that can go out back to back on a sink before the hourly rate applies
+  POLL_INTERVAL: 45000, // between polls while a game is live; also the length of a replay step
+  IDLE_POLL_INTERVAL: 30 * 60 * 1000, // 30 minutes in milliseconds, the longest sleep with nothing live
+  PRE_GAME_WAKE: 5 * 60 * 1000, // start polling this long before the next scheduled puck drop
+  MAX_ERROR_BACKOFF: 10 * 60 * 1000, // longest wait between polls while the NHL API keeps failing
+  GAME_CONCURRENCY: 4, // live games fetched and processed at the same time
+  API_BASE_URL: 'https://api-web.nhle.com/v1', // point at a mock server for testing (also NHL_API_BASE_URL)
+  API_TIMEOUT: 10000, // abort NHL API requests that take longer than this
+  CORRECTION_MODE: 'quote', // 'quote' the original goal post, or 'reply' directly to it
+  DELETE_DISALLOWED_GOALS: false, // delete the original post when a goal is disallowed
+  OVERTURN_CONFIRM_POLLS: 2, // consecutive polls a posted goal must be missing before it's announced as overturned
+  SINK_TIMEOUT: 30000, // give up on a post, delete, DM or login that a sink hasn't finished in this long
+  SINKS: ['bluesky'], // output sinks for the default account when there's no ACCOUNTS_FILE
+  BLUESKY_IDENTIFIER: 'nhl-goal-bot.bsky.social', // handle the bluesky sink logs in as, unless its account names one
+  BLUESKY_SERVICE: null, // PDS to log in to, e.g. a self-hosted one; defaults to https://bsky.social
+  ACCOUNTS_FILE: null, // optional JSON file listing accounts, see accounts.mjs
+  STATE_FILE: null, // where goals and threads are saved, ./data/state.json by default
+  PORT: 10000, // port for the HTTP endpoints
+  SEASON_STATS: true, // include season goal and assist totals in goal posts
+  MILESTONES: true, // call out first NHL goals and round-number career and franchise totals in goal posts
+  HIGHLIGHTS: true, // reply to goal posts with the highlight clip once the NHL links one
+  HIGHLIGHT_WINDOW: 30 * 60 * 1000, // 30 minutes in milliseconds to watch a posted goal for its clip
+  HIGHLIGHT_EMBED: 'link', // 'link' for an external link card, 'image' for the thumbnail with alt text
+  LOCALE: 'en', // 'en' or 'fr'; also picks player names from the API
+  TEMPLATES_FILE: null, // optional JSON file overriding post templates
+  MAX_POST_LENGTH: 300, // Bluesky's limit in graphemes; longer posts are shortened line by line
+  HASHTAGS: true, // add the game hashtag (#TORvsMTL) and both teams' hashtags to game posts
+  TEAM_HASHTAGS: {}, // per-team hashtag overrides, e.g. { TOR: 'LeafsForever' }
+  // Team accounts to @mention in their games' posts, e.g. TEAM_ACCOUNTS=TOR=mapleleafs.bsky.social,MTL=canadiens.bsky.social
+  TEAM_ACCOUNTS: {},
+  GAMECENTER_LINKS: true, // link each game post to the game's NHL.com gamecenter page
+  PLAYER_LINKS: true, // link scorer and assister names in game posts to their NHL.com player pages
+  ADMIN_TOKEN: null, // bearer token for the /admin endpoints; they're disabled without one
+  HEALTH_GRACE: 2 * 60 * 1000, // how late a poll cycle can be before /healthz reports it
+  HEALTH_MAX_POLL_ERRORS: 5, // failed poll cycles in a row before /healthz reports unhealthy
+  // Optional game lifecycle posts: 'start' (puck drop), 'period-end', 'final' and
+  // 'game-winner' (a regulation winner called out in reply to its goal, when 'final' is off)
+  LIFECYCLE_POSTS: [],
+  DAILY_RECAP: false, // post a thread of the night's scores, standout performances and the next day's games
+  LOG_LEVEL: 'info', // 'debug', 'info', 'warn' or 'error'
+  COMMANDS: false, // answer commands like "score TOR" sent to the bot in mentions, replies and DMs
+  COMMANDS_PER_HOUR: 10, // commands answered per user per hour
+  COMMAND_BURST: 3, // commands a user can send back to back before the hourly rate applies
+  NOTIFY_BATCH_WINDOW: 2 * 60 * 1000, // how long a followed team's goals are collected into one DM
+};
+
+// How each setting is parsed from the environment and checked. Optional settings may be null.
+const schema = {
+  INITIAL_DELAY: { type: 'number', min: 0 },
+  MAX_UPDATES: { type: 'integer', min: 0 },
+  POSTS_PER_HOUR: { type: 'number', min: 1 },
+  POST_BURST: { type: 'integer', min: 1 },
+  POLL_INTERVAL: { type: 'number', min: 5000 },
+  IDLE_POLL_INTERVAL: { type: 'number', min: 5000 },
+  PRE_GAME_WAKE: { type: 'number', min: 0 },
+  MAX_ERROR_BACKOFF: { type: 'number', min: 5000 },
+  GAME_CONCURRENCY: { type: 'integer', min: 1 },
+  API_BASE_URL: { type: 'url', env: ['API_BASE_URL', 'NHL_API_BASE_URL'] },
+  API_TIMEOUT: { type: 'number', min: 1000 },
+  CORRECTION_MODE: { type: 'string', values: ['quote', 'reply'] },
+  DELETE_DISALLOWED_GOALS: { type: 'boolean' },
+  OVERTURN_CONFIRM_POLLS: { type: 'integer', min: 1 },
+  SINK_TIMEOUT: { type: 'number', min: 1000 },
+  SINKS: { type: 'list', minLength: 1 },
+  BLUESKY_IDENTIFIER: { type: 'string' },
+  BLUESKY_SERVICE: { type: 'url', optional: true },
+  ACCOUNTS_FILE: { type: 'string', optional: true },
+  STATE_FILE: { type: 'string', optional: true },
+  PORT: { type: 'integer', min: 1, max: 65535 },
+  SEASON_STATS: { type: 'boolean' },
+  MILESTONES: { type: 'boolean' },
+  HIGHLIGHTS: { type: 'boolean' },
+  HIGHLIGHT_WINDOW: { type: 'number', min: 0 },
+  HIGHLIGHT_EMBED: { type: 'string', values: ['link', 'image'] },
+  LOCALE: { type: 'string' },
+  TEMPLATES_FILE: { type: 'string', optional: true },
+  MAX_POST_LENGTH: { type: 'integer', min: 50 },
+  HASHTAGS: { type: 'boolean' },
+  TEAM_HASHTAGS: { type: 'map' },
+  TEAM_ACCOUNTS: {
+    type: 'map',
+    normalize: accounts => Object.fromEntries(
+      Object.entries(accounts).map(([team, handle]) => [team.toUpperCase(), handle.replace(/^@/, '')])
+    )
+  },
+  GAMECENTER_LINKS: { type: 'boolean' },
+  PLAYER_LINKS: { type: 'boolean' },
+  ADMIN_TOKEN: { type: 'string', optional: true, secret: true },
+  HEALTH_GRACE: { type: 'number', min: 0 },
+  HEALTH_MAX_POLL_ERRORS: { type: 'integer', min: 1 },
+  LIFECYCLE_POSTS: { type: 'list', values: ['start', 'period-end', 'final', 'game-winner'] },
+  DAILY_RECAP: { type: 'boolean' },
+  LOG_LEVEL: { type: 'string', values: ['debug', 'info', 'warn', 'error'] },
+  COMMANDS: { type: 'boolean' },
+  COMMANDS_PER_HOUR: { type: 'number', min: 1 },
+  COMMAND_BURST: { type: 'integer', min: 1 },
+  NOTIFY_BATCH_WINDOW: { type: 'number', min: 0 }
+};
+
+// Environment values are always strings; anything that can't be parsed is left
+// as the string so validation reports it
+function parseEnvValue(rule, raw) {
+  const value = raw.trim();
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      return value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(value.toLowerCase())) {
+        return true;
+      }
+      if (['false', '0', 'no'].includes(value.toLowerCase())) {
+        return false;
+      }
+      return value;
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    case 'map':
+      return Object.fromEntries(
+        value.split(',')
+          .map(entry => entry.split('=').map(part => part.trim()))
+          .filter(([key, item]) => key && item)
+      );
+    default:
+      return value === '' ? null : value;
+  }
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+// Returns a problem description, or null if the value is acceptable
+function checkValue(rule, value) {
+  if (value === null || value === undefined) {
+    return rule.optional ? null : 'is required';
+  }
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        return `must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}, got ${describe(value)}`;
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}, got ${value}`;
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max}, got ${value}`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false, got ${describe(value)}`;
+    case 'url':
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? null : `must be an http(s) URL, got ${describe(value)}`;
+      } catch {
+        return `must be an http(s) URL, got ${describe(value)}`;
+      }
+    case 'list': {
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return `must be a list of names, got ${describe(value)}`;
+      }
+      if (rule.minLength && value.length < rule.minLength) {
+        return 'must list at least one name';
+      }
+      const unknown = rule.values ? value.filter(item => !rule.values.includes(item)) : [];
+      return unknown.length > 0
+        ? `has unknown ${unknown.map(describe).join(', ')}, expected any of: ${rule.values.join(', ')}`
+        : null;
+    }
+    case 'map':
+      return value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(item => typeof item === 'string')
+        ? null
+        : `must map names to strings, got ${describe(value)}`;
+    default:
+      if (typeof value !== 'string' || value === '') {
+        return `must be a non-empty string, got ${describe(value)}`;
+      }
+      return rule.values && !rule.values.includes(value)
+        ? `must be one of: ${rule.values.join(', ')}, got ${describe(value)}`
+        : null;
+  }
+}
+
+function readConfigFile(file) {
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read config file ${file}: ${error.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${file} must contain a JSON object of settings`);
+  }
+  const unknown = Object.keys(values).filter(key => !schema[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Config file ${file} has unknown settings: ${unknown.join(', ')}`);
+  }
+  return values;
+}
+
+// The settings in use with secrets masked, for logs and debugging
+export function getConfigSummary() {
+  return Object.fromEntries(Object.entries(config).map(([key, value]) => [
+    key,
+    schema[key]?.secret && value ? '********' : value
+  ]));
+}
+
+// Applies the config file and environment overrides, then validates every setting.
+// Throws one error listing every invalid setting, so they can all be fixed at once.
+export function loadConfig({ file, env = process.env } = {}) {
+  const configFile = file || env.CONFIG_FILE;
+  const sources = {};
+  const values = {};
+
+  if (configFile) {
+    for (const [key, value] of Object.entries(readConfigFile(configFile))) {
+      values[key] = value;
+      sources[key] = configFile;
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const envName = (rule.env || [key]).find(name => env[name] !== undefined);
+    if (envName) {
+      values[key] = parseEnvValue(rule, env[envName]);
+      sources[key] = `environment variable ${envName}`;
+    }
+  }
+
+  const merged = { ...config, ...values };
+  const problems = Object.entries(schema)
+    .map(([key, rule]) => {
+      const problem = checkValue(rule, merged[key]);
+      return problem && `${key} ${problem}${sources[key] ? ` (from ${sources[key]})` : ''}`;
+    })
+    .filter(Boolean);
+
+  if (problems.length === 0) {
+    if (merged.IDLE_POLL_INTERVAL < merged.POLL_INTERVAL) {
+      problems.push('IDLE_POLL_INTERVAL must not be shorter than POLL_INTERVAL');
+    }
+    if (merged.MAX_ERROR_BACKOFF < merged.POLL_INTERVAL) {
+      problems.push('MAX_ERROR_BACKOFF must not be shorter than POLL_INTERVAL');
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    config[key] = rule.normalize ? rule.normalize(merged[key]) : merged[key];
+    if (rule.secret && config[key]) {
+      addSecretValue(config[key]);
+    }
+  }
+
+  setLogLevel(config.LOG_LEVEL);
+  logger.info('Configuration loaded', {
+    file: configFile || null,
+    overrides: sources,
+    config: getConfigSummary()
+  });
+  return config;
+}
@@ -0,0 +1,931 @@
+import crypto from 'crypto';
+import * as clock from './clock.mjs';
+import { config } from './config.mjs';
+import { saveState, pruneState } from './state-store.mjs';
+import { publish, deleteFromSinks } from './sinks/index.mjs';
+import { getGameInfo, matchesFilter } from './accounts.mjs';
+import { addSeasonTotals, addMilestones } from './player-stats.mjs';
+import { findHighlight, formatHighlightMessage, buildHighlightMedia } from './highlights.mjs';
+import { addGameRichText } from './rich-text.mjs';
+import { enqueuePost, isQueued, removeQueuedPost, PRIORITY } from './post-queue.mjs';
+import { queueGoalNotifications } from './subscriptions.mjs';
+import { checkDailyRecap } from './recap.mjs';
+import { incrementCounter } from './metrics.mjs';
+import { fetchNHLSchedule, fetchGamePlayByPlay, fetchGameLanding } from './nhl-api.mjs';
+import { formatEasternTime, getHockeyDate, mapWithConcurrency } from './utils.mjs';
+import { logger, withLogContext } from './logger.mjs';
+import {
+  createGoalKey,
+  formatGoalMessage,
+  formatCorrectionMessage,
+  formatOverturnMessage,
+  processGoalPlay,
+  getUpdatedFields,
+  getOverturnReason,
+  isShootoutPlay,
+  getGameWinningGoal,
+  getGoalPlayers,
+  formatShootoutMessage
+} from './goals.mjs';
+import {
+  isPreGameState,
+  isLiveState,
+  isFinalState,
+  getLatestPeriodEnd,
+  formatGameStartMessage,
+  formatPeriodEndMessage,
+  formatFinalMessage,
+  formatGameWinnerMessage
+} from './lifecycle.mjs';
+
+// A game last seen live keeps its state past its hockey day, unless it hasn't been
+// polled for this long (e.g. the bot was down when it ended)
+const MAX_LIVE_GAME_AGE = 24 * 60 * 60 * 1000;
+
+let sinks = [];
+let gameInfo = {};
+let state = null;
+let previousScores = {};
+// Goals being handled right now; kept in memory only, since a lock means nothing after a restart
+let postingInProgress = {};
+
+function setPostingLock(goalKey) {
+  if (postingInProgress[goalKey]) {
+    const lockAge = clock.now() - postingInProgress[goalKey];
+    if (lockAge > 60000) { // If lock is older than 1 minute
+      logger.warn('Clearing stale posting lock', { goalKey, lockAgeSeconds: Math.round(lockAge / 1000) });
+      delete postingInProgress[goalKey];
+    } else {
+      return false;
+    }
+  }
+  postingInProgress[goalKey] = clock.now();
+  return true;
+}
+
+function clearPostingLock(goalKey) {
+  delete postingInProgress[goalKey];
+}
+
+// Wires the bot to its loaded state and output sinks; must be called before polling
+export function initGoalBot({ state: loadedState, sinks: outputSinks }) {
+  state = loadedState;
+  previousScores = state.goals;
+  postingInProgress = {};
+  sinks = outputSinks;
+}
+
+export function getSinks() {
+  return sinks;
+}
+
+// Tracked games and goals for the /state endpoint, without the stored post references
+export function getTrackedState() {
+  if (!state) {
+    return { lastReset: null, games: {}, goals: {}, deadLetters: [] };
+  }
+  return {
+    lastReset: state.lastReset,
+    games: Object.fromEntries(Object.entries(state.games).map(([gameId, game]) => [gameId, {
+      teams: gameInfo[gameId]?.teams || null,
+      threads: Object.keys(game.threads),
+      lifecycle: game.lifecycle || null,
+      timestamp: game.timestamp
+    }])),
+    goals: Object.fromEntries(Object.entries(previousScores).map(([goalKey, entry]) => [goalKey, {
+      gameId: entry.gameId,
+      scorer: entry.goal?.scorer,
+      team: entry.goal?.team,
+      time: entry.goal?.time,
+      period: entry.goal?.period,
+      score: entry.goal?.score,
+      posted: entry.posted,
+      postedTo: Object.keys(entry.posts || {}),
+      queued: isQueued(goalKey),
+      corrections: entry.corrections?.length || 0,
+      overturned: !!entry.overturned,
+      skipped: !!entry.skipped,
+      deadLettered: !!entry.deadLettered,
+      timestamp: entry.timestamp
+    }])),
+    deadLetters: state.deadLetters
+  };
+}
+
+// Admin action: queue the goal's post again, even if it was already posted or given up on.
+// Returns false for an unknown goal key.
+export async function repostGoal(goalKey) {
+  const entry = previousScores[goalKey];
+  if (!entry?.goal) {
+    return false;
+  }
+  const [away, home] = gameInfo[entry.gameId]?.teams || [];
+  const message = await buildGoalMessage(entry.goal, { away, home });
+  delete entry.skipped;
+  delete entry.deadLettered;
+  delete entry.postUncertain;
+  removeQueuedPost(goalKey);
+  queueGoalPost(entry.gameId, goalKey, message, entry.goal);
+  logger.info('Goal queued for repost by an admin', { goalKey });
+  await saveState();
+  return true;
+}
+
+// Admin action: never post, correct or overturn this goal. Returns false for an unknown goal key.
+export async function skipGoal(goalKey) {
+  const entry = previousScores[goalKey];
+  if (!entry) {
+    return false;
+  }
+  entry.skipped = true;
+  for (const key of [goalKey, `${goalKey}-correction`, `${goalKey}-overturn`, `${goalKey}-highlight`]) {
+    removeQueuedPost(key);
+  }
+  logger.info('Goal skipped by an admin', { goalKey });
+  await saveState();
+  return true;
+}
+
+function getSinksForGame(gameId) {
+  return sinks.filter(sink => matchesFilter(sink.filter, gameInfo[gameId]));
+}
+
+// Every post for a game is threaded per sink: the first one becomes the root and
+// each later post replies to the most recent post in that game's thread, unless
+// replyTo names a specific post (e.g. the goal being corrected). Side replies
+// posted with advanceThread: false leave the thread's latest post unchanged. Names of
+// the players ({ id, name }) are linked to their player pages.
+// Returns a map of sink name -> post reference, or null if no sink accepted the post.
+async function postToGameThread(gameId, body, {
+  replyTo,
+  quoted,
+  media,
+  players,
+  advanceThread = true,
+  sinks = getSinksForGame(gameId)
+} = {}) {
+  const game = getGameEntry(gameId);
+  const [away, home] = gameInfo[gameId]?.teams || [];
+  const { text, facets } = addGameRichText(body, gameId, { away, home }, players);
+
+  const posts = await publish(sinks, {
+    text,
+    facets,
+    thread: game.threads,
+    replyTo,
+    quoted,
+    media
+  });
+
+  if (Object.keys(posts).length === 0) {
+    return null;
+  }
+
+  for (const [sinkName, postRef] of Object.entries(posts)) {
+    if (!advanceThread && game.threads[sinkName]) {
+      continue;
+    }
+    game.threads[sinkName] = {
+      root: game.threads[sinkName]?.root || postRef,
+      parent: postRef
+    };
+  }
+  game.timestamp = clock.now();
+  await saveState();
+
+  return posts;
+}
+
+// Queues a post for the game's thread on each of the game's sinks. Where it lands in a
+// thread is decided when it's sent, so posts queued in the same poll keep their order.
+// onSent and onDeadLetter are called once for each sink, with that sink's outcome.
+function queueGamePost(gameId, text, { key, priority, postOptions, onSent, onDeadLetter }) {
+  for (const sink of getSinksForGame(gameId)) {
+    enqueuePost({
+      key,
+      sink: sink.name,
+      priority,
+      description: text.split('\n')[0],
+      send: () => postToGameThread(gameId, text, { ...postOptions, sinks: [sink] }),
+      onSent,
+      onDeadLetter
+    });
+  }
+}
+
+function getGameEntry(gameId) {
+  if (!state.games[gameId]) {
+    state.games[gameId] = { threads: {}, timestamp: clock.now() };
+  }
+  const game = state.games[gameId];
+  if (!game.gameDate && gameInfo[gameId]?.gameDate) {
+    game.gameDate = gameInfo[gameId].gameDate;
+  }
+  return game;
+}
+
+// A game's state lasts for its hockey day, the schedule date it's played on, so a late
+// game crossing midnight ET keeps its thread and goals. A game still live keeps them
+// whatever the date. Entries saved before games were dated go by their last activity.
+function isCurrentGame(gameId, timestamp) {
+  const game = state.games[gameId];
+  if (isLiveState(game?.lifecycle?.gameState) && clock.now() - game.timestamp < MAX_LIVE_GAME_AGE) {
+    return true;
+  }
+  const gameDate = game?.gameDate || gameInfo[gameId]?.gameDate;
+  if (gameDate) {
+    return gameDate >= getHockeyDate();
+  }
+  return !!timestamp && getHockeyDate(new Date(timestamp)) === getHockeyDate();
+}
+
+// Drops games from earlier hockey days with their goals; returns the removed keys
+export function pruneStaleGames(now = clock.now()) {
+  return pruneState(isCurrentGame, now);
+}
+
+function getLifecycle(gameId) {
+  const game = getGameEntry(gameId);
+  if (!game.lifecycle) {
+    game.lifecycle = {
+      gameState: null,
+      seenLive: false,
+      startPosted: false,
+      periodEnds: [],
+      shootoutPosted: false,
+      finalPosted: false
+    };
+  }
+  return game.lifecycle;
+}
+
+function isSamePost(a, b) {
+  return !!a && !!b && JSON.stringify(a) === JSON.stringify(b);
+}
+
+function getOriginalPostOptions(goalKey) {
+  const entry = previousScores[goalKey];
+  if (!entry?.posts) {
+    return {};
+  }
+  return config.CORRECTION_MODE === 'reply' ? { replyTo: entry.posts } : { quoted: entry.posts };
+}
+
+// Removes the original goal post from the given sinks when a goal is disallowed, if enabled in config
+async function deleteGoalPost(goalKey, sinkNames) {
+  const entry = previousScores[goalKey];
+  if (!config.DELETE_DISALLOWED_GOALS || !entry?.posts) {
+    return false;
+  }
+
+  const deleted = await deleteFromSinks(sinks.filter(sink => sinkNames.includes(sink.name)), entry.posts);
+  if (deleted.length === 0) {
+    return false;
+  }
+
+  logger.info('Deleted original post for disallowed goal', { goalKey, sinks: deleted });
+  entry.deleted = true;
+  entry.deletedAt = clock.now();
+
+  // Don't leave the game thread pointing at a post that no longer exists
+  const threads = state.games[entry.gameId]?.threads || {};
+  for (const sinkName of deleted) {
+    const thread = threads[sinkName];
+    const ref = entry.posts[sinkName];
+    if (isSamePost(thread?.root, ref)) {
+      delete threads[sinkName];
+    } else if (isSamePost(thread?.parent, ref)) {
+      thread.parent = thread.root;
+    }
+  }
+  await saveState();
+  return true;
+}
+
+function queueGoalPost(gameId, goalKey, message, goal) {
+  queueGamePost(gameId, message, {
+    key: goalKey,
+    priority: PRIORITY.NORMAL,
+    postOptions: { players: getGoalPlayers(goal) },
+    onSent: async posts => {
+      const entry = previousScores[goalKey];
+      if (!entry) {
+        return;
+      }
+      logger.info('Goal post successful', { sinks: Object.keys(posts) });
+      entry.posted = true;
+      entry.posts = { ...entry.posts, ...posts };
+      entry.postedAt = clock.now();
+      delete entry.deadLettered;
+      delete entry.postUncertain;
+      entry.timestamp = clock.now();
+      // Followers hear about a goal once, not again when an admin reposts it
+      if (!entry.notified) {
+        const [away, home] = gameInfo[gameId]?.teams || [];
+        queueGoalNotifications(gameId, entry.goal, { away, home });
+        entry.notified = true;
+      }
+      await saveState();
+    },
+    // A goal that made it to another sink counts as posted. One given up on is queued
+    // again on a later poll, unless it timed out and may have gone out after all.
+    onDeadLetter: async ({ uncertain }) => {
+      const entry = previousScores[goalKey];
+      if (entry && !entry.posted) {
+        entry.deadLettered = true;
+        entry.postUncertain = entry.postUncertain || uncertain;
+        await saveState();
+      }
+    }
+  });
+}
+
+async function buildGoalMessage(goal, teams) {
+  if (config.MILESTONES) {
+    await addMilestones(goal);
+  }
+  if (!config.SEASON_STATS) {
+    return formatGoalMessage({ ...goal, scorerSeasonGoals: null, assistSeasonTotals: [] }, teams);
+  }
+  await addSeasonTotals(goal);
+  return formatGoalMessage(goal, teams);
+}
+
+// A goal is identified by its game and play-by-play event, so a changed scorer, assist,
+// clock or score is a revision of the same goal: before the goal is posted its waiting
+// post is rebuilt, and after that it gets a correction post
+export function handleGoalUpdate(gameId, goal, teams) {
+  const goalKey = createGoalKey(gameId, goal);
+  return withLogContext({ gameId, goalKey }, () => updateGoal(gameId, goalKey, goal, teams));
+}
+
+function recordRevision(updatedFields) {
+  for (const field of updatedFields) {
+    incrementCounter('goal_revisions_total', { field });
+  }
+  logger.info('Goal revised', { updatedFields });
+}
+
+// Corrections jump ahead of new goals so a wrong post doesn't stand for long
+function queueCorrection(gameId, goalKey, goal, updatedFields, teams) {
+  const entry = previousScores[goalKey];
+  const message = formatCorrectionMessage(goal, entry.goal, updatedFields, teams);
+  logger.info('Queueing correction', { updatedFields, message });
+  entry.updateCount++;
+  // Each sink adds its post to the same correction
+  const correction = {};
+
+  queueGamePost(gameId, message, {
+    key: `${goalKey}-correction`,
+    priority: PRIORITY.HIGH,
+    postOptions: { ...getOriginalPostOptions(goalKey), players: getGoalPlayers(goal, entry.goal) },
+    onSent: async posts => {
+      const entry = previousScores[goalKey];
+      if (!entry) {
+        return;
+      }
+      logger.info('Correction post successful', { sinks: Object.keys(posts) });
+      entry.goal = goal;
+      entry.timestamp = clock.now();
+      entry.updatedAt = clock.now();
+      if (!entry.corrections?.includes(correction)) {
+        entry.corrections = [...(entry.corrections || []), correction];
+      }
+      Object.assign(correction, posts);
+      await saveState();
+    }
+  });
+}
+
+async function updateGoal(gameId, goalKey, goal, teams) {
+  try {
+    const now = clock.now();
+    
+    // Check if post is in progress with timeout
+    if (!setPostingLock(goalKey)) {
+      const lockAge = Math.round((now - postingInProgress[goalKey])/1000);
+      logger.info('Skipping goal, posting in progress', { lockAgeSeconds: lockAge });
+      return;
+    }
+
+    try {
+      // Goals are only forgotten with their game at the hockey day rollover, never
+      // mid-game, or a long or late game would have its goals posted again
+      const entry = previousScores[goalKey];
+      logger.debug('Processing goal', {
+        exists: !!entry,
+        updateCount: entry?.updateCount || 0,
+        isPosted: entry?.posted || false,
+        timestamp: entry?.timestamp ? formatEasternTime(new Date(entry.timestamp)) : null
+      });
+
+      if (!entry) {
+        // The goal is posted from a poll at least INITIAL_DELAY later, as it stands by
+        // then, which often has the scorer or assists fixed
+        previousScores[goalKey] = {
+          gameId,
+          firstSeen: now,
+          posted: false,
+          updateCount: 0,
+          timestamp: now,
+          goal: goal
+        };
+        await saveState();
+
+        incrementCounter('goals_detected_total');
+        logger.info('New goal detected, waiting before posting', { delayMs: config.INITIAL_DELAY });
+      } else if (entry.skipped) {
+        logger.info('Skipping goal, skipped by an admin');
+      } else if (entry.postUncertain) {
+        logger.info('Skipping goal', { reason: 'post timed out and may have gone out' });
+      } else if (isQueued(`${goalKey}-correction`)) {
+        logger.info('Skipping goal', { reason: 'correction already queued' });
+      } else if (!entry.posted && now - entry.firstSeen < config.INITIAL_DELAY) {
+        const updatedFields = getUpdatedFields(goal, entry.goal);
+        if (updatedFields.length > 0) {
+          recordRevision(updatedFields);
+        }
+        entry.goal = goal;
+        logger.debug('Skipping goal', { reason: 'waiting before posting' });
+      } else if (!entry.posted) {
+        const updatedFields = getUpdatedFields(goal, entry.goal);
+        if (isQueued(goalKey) && updatedFields.length === 0) {
+          incrementCounter('duplicates_skipped_total');
+          logger.debug('Skipping goal', { reason: 'post already queued' });
+        } else {
+          // Nothing has gone out yet, so the waiting post is replaced rather than corrected
+          if (updatedFields.length > 0) {
+            recordRevision(updatedFields);
+            removeQueuedPost(goalKey);
+          }
+          entry.goal = goal;
+          const message = await buildGoalMessage(goal, teams);
+          logger.info('Queueing goal post', { message, retryAfterGivingUp: !!entry.deadLettered });
+          delete entry.deadLettered;
+          queueGoalPost(gameId, goalKey, message, goal);
+        }
+      } else {
+        const updatedFields = getUpdatedFields(goal, entry.goal);
+        if (updatedFields.length === 0) {
+          // A clock correction alone isn't worth a post, but later corrections should show the new time
+          if (goal.time !== entry.goal.time) {
+            entry.goal = { ...entry.goal, time: goal.time };
+            await saveState();
+          } else {
+            incrementCounter('duplicates_skipped_total');
+          }
+        } else if (isQueued(goalKey)) {
+          logger.info('Skipping goal', { reason: 'repost already queued', updatedFields });
+        } else if (entry.updateCount >= config.MAX_UPDATES || !isCurrentGame(gameId, entry.timestamp)) {
+          logger.debug('Skipping goal', {
+            reason: 'correction limit reached',
+            updatedFields,
+            updates: entry.updateCount,
+            age: Math.round((now - entry.timestamp) / (1000 * 60)) + ' minutes'
+          });
+        } else {
+          recordRevision(updatedFields);
+          queueCorrection(gameId, goalKey, goal, updatedFields, teams);
+        }
+      }
+    } finally {
+      clearPostingLock(goalKey);
+    }
+  } catch (error) {
+    logger.error('Error handling goal update', { error });
+    clearPostingLock(goalKey);
+  }
+}
+
+// A goal that leaves the play-by-play while it's waiting out INITIAL_DELAY is forgotten
+async function forgetVanishedGoals(gameId, data) {
+  const eventIds = new Set(data.plays.filter(play => play.typeDescKey === 'goal').map(play => play.eventId));
+  const vanished = Object.entries(previousScores).filter(([key, entry]) =>
+    key.startsWith(`${gameId}-`) && !entry.posted && !isQueued(key) && !entry.skipped && !entry.deadLettered &&
+    !eventIds.has(entry.goal?.eventId)
+  );
+
+  for (const [goalKey] of vanished) {
+    logger.info('Goal no longer exists, not posting it', { goalKey });
+    delete previousScores[goalKey];
+  }
+  if (vanished.length > 0) {
+    await saveState();
+  }
+}
+
+export async function reconcilePostedGoals(gameId, data, teams) {
+  const postedEntries = Object.entries(previousScores).filter(([key, entry]) =>
+    key.startsWith(`${gameId}-`) && entry.posted && !entry.overturned && !entry.skipped
+  );
+
+  for (const [goalKey, entry] of postedEntries) {
+    const reason = getOverturnReason(entry, data);
+    if (!reason) {
+      if (entry.overturnMisses) {
+        entry.overturnMisses = 0;
+        await saveState();
+      }
+      continue;
+    }
+
+    // A single poll can come back incomplete, so wait for the goal to stay gone
+    entry.overturnMisses = (entry.overturnMisses || 0) + 1;
+    logger.warn('Posted goal missing from play-by-play', {
+      goalKey,
+      reason,
+      misses: entry.overturnMisses,
+      required: config.OVERTURN_CONFIRM_POLLS
+    });
+    if (entry.overturnMisses < config.OVERTURN_CONFIRM_POLLS) {
+      await saveState();
+      continue;
+    }
+
+    if (isQueued(`${goalKey}-overturn`)) {
+      continue;
+    }
+
+    const currentScore = typeof data.awayTeam?.score === 'number'
+      ? `${data.awayTeam.score} - ${data.homeTeam.score}`
+      : null;
+    const message = formatOverturnMessage(entry.goal, teams, currentScore);
+    logger.info('Queueing overturn', { goalKey, reason, message });
+
+    // A deleted post can't be quoted, so only reference it when it's being kept
+    queueGamePost(gameId, message, {
+      key: `${goalKey}-overturn`,
+      priority: PRIORITY.HIGH,
+      postOptions: {
+        ...(config.DELETE_DISALLOWED_GOALS ? {} : getOriginalPostOptions(goalKey)),
+        players: getGoalPlayers(entry.goal)
+      },
+      onSent: async posts => {
+        logger.info('Overturn post successful', { goalKey, sinks: Object.keys(posts) });
+        entry.overturned = true;
+        entry.overturnReason = reason;
+        entry.overturnedAt = clock.now();
+        entry.overturnPosts = { ...entry.overturnPosts, ...posts };
+        await saveState();
+        await deleteGoalPost(goalKey, Object.keys(posts));
+      }
+    });
+    await saveState();
+  }
+}
+
+function getHighlightCandidates(gameId) {
+  return Object.entries(previousScores).filter(([key, entry]) =>
+    key.startsWith(`${gameId}-`) && entry.posted && !entry.overturned && !entry.skipped && !entry.highlight &&
+    !isQueued(key) && !isQueued(`${key}-highlight`)
+  );
+}
+
+// Goals still inside their highlight window keep a finished game polled
+function isAwaitingHighlights(gameId) {
+  return config.HIGHLIGHTS && getHighlightCandidates(gameId).length > 0;
+}
+
+// Clips are usually linked a few minutes after the goal, so each posted goal is
+// checked every poll until its clip shows up or HIGHLIGHT_WINDOW runs out
+export async function postPendingHighlights(gameId, data, teams) {
+  const candidates = getHighlightCandidates(gameId);
+  let landing;
+
+  for (const [goalKey, entry] of candidates) {
+    if (clock.now() - (entry.postedAt || entry.timestamp) > config.HIGHLIGHT_WINDOW) {
+      logger.info('No highlight found within the window', { goalKey, windowMinutes: config.HIGHLIGHT_WINDOW / 60000 });
+      entry.highlight = { posted: false, expired: true };
+      await saveState();
+      continue;
+    }
+
+    let highlight = findHighlight(entry.goal.eventId, data);
+    if (!highlight) {
+      // The landing sometimes links clips before the play-by-play does
+      if (landing === undefined) {
+        landing = await fetchGameLanding(gameId).catch(error => {
+          logger.warn('Unable to check landing for highlights', { error });
+          return null;
+        });
+      }
+      highlight = findHighlight(entry.goal.eventId, data, landing);
+    }
+    if (!highlight) {
+      continue;
+    }
+
+    const message = formatHighlightMessage(entry.goal, teams);
+    const media = buildHighlightMedia(highlight, entry.goal, teams, config.HIGHLIGHT_EMBED);
+    logger.info('Queueing highlight', { goalKey, url: highlight.url });
+
+    queueGamePost(gameId, message, {
+      key: `${goalKey}-highlight`,
+      priority: PRIORITY.LOW,
+      postOptions: { replyTo: entry.posts, media, players: getGoalPlayers(entry.goal), advanceThread: false },
+      onSent: async posts => {
+        logger.info('Highlight post successful', { goalKey, sinks: Object.keys(posts) });
+        entry.highlight = {
+          posted: true,
+          posts: { ...entry.highlight?.posts, ...posts },
+          url: highlight.url,
+          postedAt: clock.now()
+        };
+        await saveState();
+      },
+      onDeadLetter: async () => {
+        if (!entry.highlight?.posted) {
+          entry.highlight = { posted: false, url: highlight.url };
+          await saveState();
+        }
+      }
+    });
+  }
+}
+
+// Goals still waiting out INITIAL_DELAY, in one game or in any. Period end, shootout,
+// final and recap posts hold off until these are queued, so they follow the goals.
+function hasWaitingGoals(gameId = null) {
+  return Object.entries(previousScores).some(([goalKey, entry]) =>
+    (!gameId || goalKey.startsWith(`${gameId}-`)) &&
+    !entry.posted && !entry.skipped && !entry.deadLettered && !isQueued(goalKey)
+  );
+}
+
+function isLifecyclePostEnabled(type) {
+  return config.LIFECYCLE_POSTS.includes(type);
+}
+
+// A final post is still owed for games we watched live until it has gone out
+function isAwaitingFinal(gameId) {
+  const lifecycle = state.games[gameId]?.lifecycle;
+  return !!lifecycle?.seenLive && !lifecycle.finalPosted;
+}
+
+// Runs before the game's goals so the puck drop post becomes the thread root
+async function announceGameStart(gameId, gameState, data, teams) {
+  const lifecycle = getLifecycle(gameId);
+  if (!isLiveState(gameState) || lifecycle.startPosted) {
+    return;
+  }
+
+  // Only announce a start we actually saw happen, not a game already underway when the bot started
+  const hasGoals = data.plays.some(play => play.typeDescKey === 'goal');
+  const justStarted = isPreGameState(lifecycle.gameState) ||
+    (lifecycle.gameState === null && data.periodDescriptor?.number === 1 && !hasGoals);
+
+  lifecycle.startPosted = true;
+  if (justStarted && isLifecyclePostEnabled('start')) {
+    const message = formatGameStartMessage(teams);
+    logger.info('Queueing game start', { message });
+    queueGamePost(gameId, message, { key: `${gameId}-start`, priority: PRIORITY.NORMAL });
+  }
+  await saveState();
+}
+
+async function announcePeriodEnd(gameId, gameState, data, teams) {
+  const lifecycle = getLifecycle(gameId);
+  const periodEnd = getLatestPeriodEnd(data);
+  const period = periodEnd?.periodDescriptor.number;
+  if (!periodEnd || lifecycle.periodEnds.includes(period)) {
+    return;
+  }
+
+  // Earlier periods are marked too, so a restart never announces a stale intermission.
+  // The final post covers the last period, and the first poll of a game only records state.
+  const isFirstObservation = lifecycle.gameState === null;
+  for (let p = 1; p <= period; p++) {
+    if (!lifecycle.periodEnds.includes(p)) {
+      lifecycle.periodEnds.push(p);
+    }
+  }
+
+  if (!isFirstObservation && isLiveState(gameState) && isLifecyclePostEnabled('period-end')) {
+    const message = formatPeriodEndMessage(periodEnd.periodDescriptor, data, teams);
+    logger.info('Queueing period end', { period, message });
+    queueGamePost(gameId, message, { key: `${gameId}-period-end-${period}`, priority: PRIORITY.NORMAL });
+  }
+  await saveState();
+}
+
+// Shootout attempts are summarised round by round once the game is decided, instead of as goal posts
+async function announceShootout(gameId, gameState, data, teams) {
+  const lifecycle = getLifecycle(gameId);
+  const hasShootout = data.plays.some(play => isShootoutPlay(play) && play.typeDescKey === 'goal');
+  if (!isFinalState(gameState) || !hasShootout || lifecycle.shootoutPosted || isQueued(`${gameId}-shootout`)) {
+    return;
+  }
+
+  const message = formatShootoutMessage(data, teams);
+  logger.info('Queueing shootout summary', { message });
+  // A post that keeps failing is given up on rather than queued again every poll
+  const markPosted = async () => {
+    lifecycle.shootoutPosted = true;
+    await saveState();
+  };
+  queueGamePost(gameId, message, {
+    key: `${gameId}-shootout`,
+    priority: PRIORITY.NORMAL,
+    onSent: markPosted,
+    onDeadLetter: markPosted
+  });
+}
+
+// With 'game-winner' on and no final post, the game-winning goal is called out on its own
+// in reply to its goal post. Overtime winners were already called out when they were posted.
+async function announceGameWinner(gameId, data, teams, markPosted) {
+  const gameWinningGoal = getGameWinningGoal(data);
+  const entry = gameWinningGoal ? previousScores[createGoalKey(gameId, gameWinningGoal)] : null;
+  if (!gameWinningGoal || gameWinningGoal.period === 'OT' || entry?.skipped || entry?.overturned) {
+    await markPosted();
+    return;
+  }
+
+  const message = formatGameWinnerMessage(data, teams, gameWinningGoal);
+  logger.info('Queueing game winner', { message });
+  queueGamePost(gameId, message, {
+    key: `${gameId}-game-winner`,
+    priority: PRIORITY.NORMAL,
+    postOptions: { ...(entry?.posts ? { replyTo: entry.posts } : {}), players: getGoalPlayers(gameWinningGoal) },
+    onSent: markPosted,
+    onDeadLetter: markPosted
+  });
+}
+
+async function announceFinal(gameId, gameState, data, teams) {
+  const lifecycle = getLifecycle(gameId);
+  if (!isFinalState(gameState) || lifecycle.finalPosted || isQueued(`${gameId}-final`) || isQueued(`${gameId}-game-winner`)) {
+    return;
+  }
+
+  const markPosted = async () => {
+    lifecycle.finalPosted = true;
+    await saveState();
+  };
+
+  if (!isLifecyclePostEnabled('final')) {
+    if (isLifecyclePostEnabled('game-winner')) {
+      await announceGameWinner(gameId, data, teams, markPosted);
+    } else {
+      await markPosted();
+    }
+    return;
+  }
+
+  let threeStars = [];
+  try {
+    const landing = await fetchGameLanding(gameId);
+    threeStars = landing?.summary?.threeStars || [];
+  } catch (error) {
+    logger.warn('Posting final without three stars', { error });
+  }
+
+  const message = formatFinalMessage(data, teams, threeStars, getGameWinningGoal(data));
+  logger.info('Queueing final', { message });
+  queueGamePost(gameId, message, {
+    key: `${gameId}-final`,
+    priority: PRIORITY.NORMAL,
+    onSent: markPosted,
+    onDeadLetter: markPosted
+  });
+}
+
+function recordGameState(gameId, gameState) {
+  const lifecycle = getLifecycle(gameId);
+  if (lifecycle.gameState !== gameState) {
+    logger.info('Game state changed', { gameId, from: lifecycle.gameState || 'unknown', to: gameState });
+  }
+  lifecycle.gameState = gameState;
+  lifecycle.seenLive = lifecycle.seenLive || isLiveState(gameState);
+  state.games[gameId].timestamp = clock.now();
+}
+
+function pollGame(game) {
+  return withLogContext({ gameId: game.id }, () => pollGameData(game));
+}
+
+async function pollGameData(game) {
+  const gameId = game.id;
+  try {
+    const data = await fetchGamePlayByPlay(gameId);
+    const teams = {
+      home: data.homeTeam.abbrev,
+      away: data.awayTeam.abbrev
+    };
+    const gameState = data.gameState || game.gameState;
+
+    await announceGameStart(gameId, gameState, data, teams);
+
+    const newGoals = data.plays
+      .filter(play => play.typeDescKey === 'goal' && play.details?.scoringPlayerId && !isShootoutPlay(play))
+      .map(play => processGoalPlay(play, data))
+      .filter(goal => goal !== null);
+
+    for (const goal of newGoals) {
+      await handleGoalUpdate(gameId, goal, teams);
+    }
+
+    await forgetVanishedGoals(gameId, data);
+    await reconcilePostedGoals(gameId, data, teams);
+    if (config.HIGHLIGHTS) {
+      await postPendingHighlights(gameId, data, teams);
+    }
+    if (!hasWaitingGoals(gameId)) {
+      await announcePeriodEnd(gameId, gameState, data, teams);
+      await announceShootout(gameId, gameState, data, teams);
+      await announceFinal(gameId, gameState, data, teams);
+    }
+    recordGameState(gameId, gameState);
+    await saveState();
+    return true;
+  } catch (error) {
+    logger.error('Error processing game', { error });
+    return false;
+  }
+}
+
+// The earliest scheduled puck drop among games that haven't started, or null
+function getNextStartTime(games) {
+  const startTimes = games
+    .filter(game => isPreGameState(game.gameState) && game.startTimeUTC)
+    .map(game => Date.parse(game.startTimeUTC))
+    .filter(time => !Number.isNaN(time));
+  return startTimes.length > 0 ? Math.min(...startTimes) : null;
+}
+
+// Runs one poll cycle: fetches live games and posts, corrects or overturns their goals,
+// replies with highlight clips and, when enabled, the game's start, period ends and final result.
+// Returns what the scheduler needs to pick the next poll time:
+// { activeGames, nextStartTime, failedGames, error }. Every log line from the cycle carries its pollId.
+export function pollGames() {
+  return withLogContext({ pollId: crypto.randomUUID().slice(0, 8) }, runPollCycle);
+}
+
+async function runPollCycle() {
+  try {
+    const now = clock.now();
+    const lastReset = state.lastReset || 0;
+
+    logger.info('Fetching NHL scores', { easternTime: formatEasternTime(new Date(now)) });
+    const scheduleData = await fetchNHLSchedule();
+
+    // At the start of each hockey day, games from earlier days that aren't live are
+    // forgotten along with their goals
+    if (getHockeyDate(new Date(lastReset)) !== getHockeyDate(new Date(now))) {
+      const removed = pruneStaleGames(now);
+      gameInfo = Object.fromEntries(Object.entries(gameInfo).filter(([gameId]) => state.games[gameId]));
+      logger.info('New hockey day, pruned previous games', {
+        hockeyDate: getHockeyDate(new Date(now)),
+        removed: removed.length,
+        kept: Object.keys(state.games),
+        lastResetTime: formatEasternTime(new Date(lastReset))
+      });
+    }
+
+    // Games are dated by the schedule day they're listed under
+    const scheduledGames = scheduleData.gameWeek.flatMap(week => week.games);
+    for (const week of scheduleData.gameWeek) {
+      for (const game of week.games) {
+        gameInfo[game.id] = { ...getGameInfo(game), gameDate: week.date };
+      }
+    }
+
+    // Only track games that at least one account wants to post about
+    const wantedGames = scheduledGames.filter(game => getSinksForGame(game.id).length > 0);
+
+    // Remember pre-game states so the switch to live can be recognised as puck drop
+    for (const game of wantedGames.filter(game => isPreGameState(game.gameState))) {
+      if (isLifecyclePostEnabled('start')) {
+        recordGameState(game.id, game.gameState);
+      }
+    }
+
+    // Games that just went final are fetched again for late goals, the final post
+    // and clips of goals scored near the end
+    const activeGames = wantedGames.filter(game =>
+      isLiveState(game.gameState) ||
+      (isFinalState(game.gameState) && (isAwaitingFinal(game.id) || isAwaitingHighlights(game.id)))
+    );
+
+    if (activeGames.length > 0) {
+      logger.info('Live games', { gameIds: activeGames.map(game => game.id) });
+    }
+
+    const results = await mapWithConcurrency(activeGames, config.GAME_CONCURRENCY, pollGame);
+
+    // Recaps run after the games so a day's last final post goes out ahead of its recap
+    if (config.DAILY_RECAP && !hasWaitingGoals()) {
+      await checkDailyRecap(scheduleData.gameWeek, sinks);
+    }
+
+    return {
+      activeGames: activeGames.length,
+      nextStartTime: getNextStartTime(wantedGames),
+      failedGames: results.filter(ok => !ok).length,
+      error: null
+    };
+  } catch (error) {
+    logger.error('Error in poll cycle', { error });
+    return { activeGames: 0, nextStartTime: null, failedGames: 0, error };
+  }
+}
@@ -0,0 +1,354 @@
+import { renderTemplate, getLabels, localizeName } from './templates.mjs';
+import { logger } from './logger.mjs';
+
+// The play-by-play event ID stays the same when the NHL revises a goal's scorer, assists,
+// clock or score, so it identifies the goal; those fields are compared to find corrections
+export function createGoalKey(gameId, goal) {
+  return `${gameId}-${goal.eventId}`;
+}
+
+function formatShotType(shotType) {
+  if (!shotType) {
+    return null;
+  }
+  return getLabels().shotType[shotType] || shotType.charAt(0).toUpperCase() + shotType.slice(1);
+}
+
+// e.g. 'Power-play goal · Wrist shot', or null for an even-strength goal without a shot type
+function formatGoalDetails(goal) {
+  const details = [
+    ...(goal.strength || []).map(code => getLabels().strength[code]),
+    formatShotType(goal.shotType)
+  ].filter(Boolean);
+  return details.length > 0 ? details.join(' · ') : null;
+}
+
+// 'Mitch Marner (#16) (31), William Nylander (#88) (20)' when season totals are known
+function formatAssistsWithTotals(goal) {
+  if (!goal.assistNames?.length) {
+    return goal.assists;
+  }
+  return goal.assistNames
+    .map((name, i) => goal.assistSeasonTotals?.[i] ? `${name} (${goal.assistSeasonTotals[i]})` : name)
+    .join(', ');
+}
+
+function formatGoalCallouts(goal) {
+  const labels = getLabels();
+  const callouts = [];
+  if (goal.scorerGameGoals === 3) {
+    callouts.push(labels.hatTrick);
+  } else if (goal.scorerGameGoals > 3) {
+    callouts.push(labels.goalsTonight(goal.scorerGameGoals));
+  }
+  if (goal.isGameWinner) {
+    callouts.push(labels.overtimeWinner);
+  }
+  for (const milestone of goal.milestones || []) {
+    const text = labels.milestone(milestone, goal.isPlayoffs);
+    callouts.push(milestone.scorer ? text : `${milestone.player}: ${text}`);
+  }
+  return callouts;
+}
+
+export function formatGoalMessage(goal, teams) {
+  return renderTemplate('goal', {
+    away: teams.away,
+    home: teams.home,
+    scorer: goal.scorer,
+    team: goal.team,
+    seasonGoals: goal.scorerSeasonGoals ? getLabels().ordinal(goal.scorerSeasonGoals) : null,
+    details: formatGoalDetails(goal),
+    callouts: formatGoalCallouts(goal).join('\n'),
+    assists: goal.assists ? formatAssistsWithTotals(goal) : null,
+    time: goal.time,
+    period: goal.period,
+    score: goal.score
+  });
+}
+
+export function formatCorrectionMessage(goal, previousGoal, updatedFields, teams) {
+  const labels = getLabels();
+  const changes = updatedFields.map(field => {
+    const before = previousGoal[field] || labels.none;
+    const after = goal[field] || labels.none;
+    return `${labels.correction[field]}: ${before} → ${after}`;
+  });
+  return renderTemplate('correction', {
+    away: teams.away,
+    home: teams.home,
+    changes: changes.join('\n'),
+    time: goal.time,
+    period: goal.period,
+    // A changed score is already listed with the other changes
+    score: updatedFields.includes('score') ? null : goal.score
+  });
+}
+
+// Uses the names for the active LOCALE when the API has them, e.g. firstName.fr
+function formatPlayerName(player) {
+  return player
+    ? `${localizeName(player.firstName)} ${localizeName(player.lastName)} (#${player.sweaterNumber})`
+    : getLabels().unknownPlayer;
+}
+
+// The scorers and assisters of goals as { id, name }, for linking their names in posts
+export function getGoalPlayers(...goals) {
+  return goals.flatMap(goal => [
+    { id: goal.scorerId, name: goal.scorer },
+    ...(goal.assistIds || []).map((id, i) => ({ id, name: goal.assistNames?.[i] }))
+  ]);
+}
+
+export function findPlayer(data, playerId) {
+  return data.rosterSpots.find(player => player.playerId === playerId);
+}
+
+export function isShootoutPlay(play) {
+  return play.periodDescriptor?.periodType === 'SO';
+}
+
+// situationCode is four digits: away goalie in net (1/0), away skaters, home skaters, home goalie in net.
+// Returns the strength codes that apply to the scoring team, e.g. ['PPG'] or ['SHG', 'EN'].
+export function getGoalStrength(play, isHomeGoal) {
+  // Penalty shots report a one-on-one situation code that would otherwise read as an empty net
+  if (play.details?.goalModifier === 'penalty-shot') {
+    return ['PS'];
+  }
+
+  const codes = [];
+  const situation = String(play.situationCode || '');
+
+  if (/^\d{4}$/.test(situation)) {
+    const [awayGoalie, awaySkaters, homeSkaters, homeGoalie] = situation.split('').map(Number);
+    const own = isHomeGoal
+      ? { goalie: homeGoalie, skaters: homeSkaters }
+      : { goalie: awayGoalie, skaters: awaySkaters };
+    const opponent = isHomeGoal
+      ? { goalie: awayGoalie, skaters: awaySkaters }
+      : { goalie: homeGoalie, skaters: homeSkaters };
+
+    // A pulled goalie's extra attacker doesn't make it a power play
+    const ownStrength = own.skaters - (own.goalie === 0 ? 1 : 0);
+    const opponentStrength = opponent.skaters - (opponent.goalie === 0 ? 1 : 0);
+
+    if (ownStrength > opponentStrength) codes.push('PPG');
+    if (ownStrength < opponentStrength) codes.push('SHG');
+    if (opponent.goalie === 0) codes.push('EN');
+  }
+
+  if (play.details?.goalModifier === 'empty-net' && !codes.includes('EN')) codes.push('EN');
+
+  return codes;
+}
+
+// Goals scored by a player in the game up to and including this play (shootout excluded)
+function countPlayerGoals(play, data, playerId) {
+  const playIndex = data.plays.indexOf(play);
+  return data.plays
+    .slice(0, playIndex === -1 ? data.plays.length : playIndex + 1)
+    .filter(p =>
+      p.typeDescKey === 'goal' &&
+      !isShootoutPlay(p) &&
+      p.details?.scoringPlayerId === playerId
+    ).length;
+}
+
+function countScorerGoals(play, data) {
+  return countPlayerGoals(play, data, play.details.scoringPlayerId);
+}
+
+// Assists credited to a player in the game up to and including this play
+function countPlayerAssists(play, data, playerId) {
+  const playIndex = data.plays.indexOf(play);
+  return data.plays
+    .slice(0, playIndex === -1 ? data.plays.length : playIndex + 1)
+    .filter(p =>
+      p.typeDescKey === 'goal' &&
+      !isShootoutPlay(p) &&
+      (p.details?.assists || []).some(assist => assist.playerId === playerId)
+    ).length;
+}
+
+export function processGoalPlay(play, data) {
+  try {
+    if (!play.details) {
+      throw new Error("Invalid play.details structure");
+    }
+
+    const { scoringPlayerId, eventOwnerTeamId, assists = [] } = play.details;
+    const scorer = findPlayer(data, scoringPlayerId);
+
+    logger.debug('Processing goal', {
+      eventId: play.eventId,
+      awayScore: play.details.awayScore,
+      homeScore: play.details.homeScore,
+      timeInPeriod: play.timeInPeriod,
+      period: play.periodDescriptor.number
+    });
+
+    const assistNames = assists.map(assist => formatPlayerName(findPlayer(data, assist.playerId)));
+    const processedAssists = assistNames.join(', ');
+
+    const isHomeGoal = eventOwnerTeamId === data.homeTeam.id;
+    const scoringTeam = isHomeGoal
+      ? data.homeTeam.abbrev
+      : data.awayTeam.abbrev;
+
+    return {
+      eventId: play.eventId,
+      scorerId: scoringPlayerId,
+      scorer: formatPlayerName(scorer),
+      assists: processedAssists,
+      time: play.timeInPeriod,
+      period: play.periodDescriptor.periodType === 'REG'
+        ? play.periodDescriptor.number
+        : play.periodDescriptor.periodType,
+      team: scoringTeam || 'Unknown Team',
+      score: `${play.details.awayScore} - ${play.details.homeScore}`,
+      rawScores: {
+        away: play.details.awayScore,
+        home: play.details.homeScore
+      },
+      strength: getGoalStrength(play, isHomeGoal),
+      shotType: play.details.shotType || null,
+      scorerGameGoals: countScorerGoals(play, data),
+      scorerGameAssists: countPlayerAssists(play, data, scoringPlayerId),
+      // Season totals come with the play details when the API has them; the rest are looked up before posting
+      scorerSeasonGoals: play.details.scoringPlayerTotal ?? null,
+      assistIds: assists.map(assist => assist.playerId),
+      assistNames,
+      assistSeasonTotals: assists.map((assist, i) =>
+        assist.assistsToDate ?? play.details[`assist${i + 1}PlayerTotal`] ?? null
+      ),
+      assistGameAssists: assists.map(assist => countPlayerAssists(play, data, assist.playerId)),
+      assistGameGoals: assists.map(assist => countPlayerGoals(play, data, assist.playerId)),
+      isPlayoffs: data.gameType === 3,
+      // Overtime is sudden death, so an OT goal always wins the game
+      isGameWinner: play.periodDescriptor.periodType === 'OT'
+    };
+  } catch (error) {
+    logger.error('Error processing goal play', { eventId: play?.eventId, error });
+    return null;
+  }
+}
+
+export function getUpdatedFields(newGoal, oldGoal) {
+  const updatedFields = [];
+  if (newGoal.scorer !== oldGoal.scorer) updatedFields.push('scorer');
+  if (newGoal.assists !== oldGoal.assists) updatedFields.push('assists');
+  if (newGoal.period !== oldGoal.period) updatedFields.push('period');
+  if (newGoal.score !== oldGoal.score) updatedFields.push('score');
+  return updatedFields;
+}
+
+export function formatOverturnMessage(goal, teams, currentScore) {
+  return renderTemplate('overturn', {
+    away: teams.away,
+    home: teams.home,
+    scorer: goal.scorer,
+    team: goal.team,
+    time: goal.time,
+    period: goal.period,
+    score: currentScore
+  });
+}
+
+// Returns the reason a posted goal no longer stands in the latest play-by-play, or null if it does.
+// Only the goal's own play counts: the scoreboard and other goal plays can lag behind a
+// review or keep a reversed goal around, and would flag later goals that still stand.
+export function getOverturnReason(entry, data) {
+  const play = data.plays.find(p => p.eventId === entry.goal.eventId);
+  if (!play) {
+    return 'removed';
+  }
+  if (play.typeDescKey !== 'goal') {
+    return 'no longer a goal';
+  }
+  return null;
+}
+
+// The goal that put the winner one ahead of the loser's final total, or null for shootout wins and ties
+export function getGameWinningGoal(data) {
+  const awayScore = data.awayTeam?.score;
+  const homeScore = data.homeTeam?.score;
+  if (typeof awayScore !== 'number' || typeof homeScore !== 'number' || awayScore === homeScore) {
+    return null;
+  }
+
+  const winnerId = awayScore > homeScore ? data.awayTeam.id : data.homeTeam.id;
+  const loserScore = Math.min(awayScore, homeScore);
+  const winnerGoals = data.plays.filter(play =>
+    play.typeDescKey === 'goal' &&
+    !isShootoutPlay(play) &&
+    play.details?.eventOwnerTeamId === winnerId
+  );
+
+  const winningPlay = winnerGoals[loserScore];
+  if (!winningPlay) {
+    return null;
+  }
+  return {
+    eventId: winningPlay.eventId,
+    scorerId: winningPlay.details.scoringPlayerId,
+    scorer: formatPlayerName(findPlayer(data, winningPlay.details.scoringPlayerId)),
+    team: winnerId === data.homeTeam.id ? data.homeTeam.abbrev : data.awayTeam.abbrev,
+    time: winningPlay.timeInPeriod,
+    period: winningPlay.periodDescriptor.periodType === 'REG'
+      ? winningPlay.periodDescriptor.number
+      : winningPlay.periodDescriptor.periodType
+  };
+}
+
+const SHOOTOUT_ATTEMPT_TYPES = ['goal', 'shot-on-goal', 'missed-shot', 'failed-shot-attempt'];
+
+// Groups shootout attempts into rounds: each team's Nth attempt belongs to round N
+export function getShootoutRounds(data) {
+  const attempts = data.plays.filter(play =>
+    isShootoutPlay(play) && SHOOTOUT_ATTEMPT_TYPES.includes(play.typeDescKey)
+  );
+
+  const rounds = [];
+  const attemptsByTeam = {};
+  for (const play of attempts) {
+    const teamId = play.details?.eventOwnerTeamId;
+    const shooterId = play.details?.scoringPlayerId || play.details?.shootingPlayerId;
+    const round = attemptsByTeam[teamId] = (attemptsByTeam[teamId] || 0) + 1;
+    const side = teamId === data.homeTeam.id ? 'home' : 'away';
+
+    rounds[round - 1] = rounds[round - 1] || { round, away: null, home: null };
+    rounds[round - 1][side] = {
+      shooter: formatPlayerName(findPlayer(data, shooterId)),
+      scored: play.typeDescKey === 'goal'
+    };
+  }
+  return rounds;
+}
+
+function formatShootoutAttempt(attempt, team) {
+  if (!attempt) {
+    return `${team} –`;
+  }
+  return `${team} ${attempt.shooter} ${attempt.scored ? '✅' : '❌'}`;
+}
+
+export function formatShootoutMessage(data, teams) {
+  const labels = getLabels();
+  const rounds = getShootoutRounds(data);
+  const awayGoals = rounds.filter(round => round.away?.scored).length;
+  const homeGoals = rounds.filter(round => round.home?.scored).length;
+
+  const roundLines = rounds.map(round =>
+    `${labels.shootoutRound(round.round)}: ${formatShootoutAttempt(round.away, teams.away)} | ${formatShootoutAttempt(round.home, teams.home)}`
+  );
+  const result = awayGoals !== homeGoals
+    ? labels.shootoutWinner(awayGoals > homeGoals ? teams.away : teams.home, Math.max(awayGoals, homeGoals), Math.min(awayGoals, homeGoals))
+    : labels.shootoutTied(awayGoals, homeGoals);
+
+  return renderTemplate('shootout', {
+    away: teams.away,
+    home: teams.home,
+    rounds: roundLines.join('\n'),
+    result
+  });
+}
@@ -0,0 +1,55 @@
+import { renderTemplate, getLabels } from './templates.mjs';
+
+// Highlight clips show up on goal plays (and the game landing) some minutes after the goal
+
+function findLandingGoal(landing, eventId) {
+  const periods = landing?.summary?.scoring || [];
+  for (const period of periods) {
+    const goal = (period.goals || []).find(g => g.eventId === eventId);
+    if (goal) {
+      return goal;
+    }
+  }
+  return null;
+}
+
+// Returns { url, thumbnailUrl } once a clip is linked for the goal, or null
+export function findHighlight(eventId, data, landing = null) {
+  const play = data.plays.find(p => p.eventId === eventId);
+  const landingGoal = findLandingGoal(landing, eventId);
+
+  const url = play?.details?.highlightClipSharingUrl || landingGoal?.highlightClipSharingUrl;
+  if (!url) {
+    return null;
+  }
+
+  return {
+    url,
+    thumbnailUrl: play?.details?.highlightClipThumbnail || landingGoal?.highlightClipThumbnail || null
+  };
+}
+
+export function formatHighlightMessage(goal, teams) {
+  return renderTemplate('highlight', {
+    away: teams.away,
+    home: teams.home,
+    scorer: goal.scorer,
+    team: goal.team,
+    time: goal.time,
+    period: goal.period
+  });
+}
+
+// style is 'link' for an external link card or 'image' for an image embed with alt text
+export function buildHighlightMedia(highlight, goal, teams, style = 'link') {
+  const card = getLabels().highlightCard;
+  const values = { ...teams, scorer: goal.scorer, team: goal.team, time: goal.time, period: goal.period };
+  return {
+    type: style === 'image' && highlight.thumbnailUrl ? 'image' : 'link',
+    uri: highlight.url,
+    title: card.title(values),
+    description: card.description(values),
+    thumbUrl: highlight.thumbnailUrl,
+    alt: card.alt(values)
+  };
+}
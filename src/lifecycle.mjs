@@ -0,0 +1,104 @@
+import { ordinal } from './utils.mjs';
+import { renderTemplate, getLabels, localizeName } from './templates.mjs';
+
+// Game states reported by the NHL API, in the order a game moves through them
+export const PRE_GAME_STATES = ['FUT', 'PRE'];
+export const LIVE_STATES = ['LIVE', 'CRIT'];
+export const FINAL_STATES = ['FINAL', 'OFF'];
+
+export function isPreGameState(gameState) {
+  return PRE_GAME_STATES.includes(gameState);
+}
+
+export function isLiveState(gameState) {
+  return LIVE_STATES.includes(gameState);
+}
+
+export function isFinalState(gameState) {
+  return FINAL_STATES.includes(gameState);
+}
+
+// '1st', '2nd', '3rd', 'OT', '2OT' (playoff overtimes), 'SO'
+export function formatPeriodName(periodDescriptor) {
+  if (periodDescriptor.periodType === 'SO') {
+    return 'SO';
+  }
+  if (periodDescriptor.periodType === 'OT') {
+    const overtime = periodDescriptor.number - 3;
+    return overtime > 1 ? `${overtime}OT` : 'OT';
+  }
+  return ordinal(periodDescriptor.number);
+}
+
+// The most recent period-end play, ignoring the shootout
+export function getLatestPeriodEnd(data) {
+  const periodEnds = data.plays.filter(play =>
+    play.typeDescKey === 'period-end' && play.periodDescriptor?.periodType !== 'SO'
+  );
+  return periodEnds[periodEnds.length - 1] || null;
+}
+
+export function formatGameStartMessage(teams) {
+  return renderTemplate('start', { away: teams.away, home: teams.home });
+}
+
+function getShots(data) {
+  const hasShots = typeof data.awayTeam?.sog === 'number' && typeof data.homeTeam?.sog === 'number';
+  return {
+    awayShots: hasShots ? data.awayTeam.sog : null,
+    homeShots: hasShots ? data.homeTeam.sog : null
+  };
+}
+
+export function formatPeriodEndMessage(periodDescriptor, data, teams) {
+  return renderTemplate('periodEnd', {
+    away: teams.away,
+    home: teams.home,
+    periodName: formatPeriodName(periodDescriptor),
+    periodEnd: getLabels().periodEnd(periodDescriptor),
+    awayScore: data.awayTeam.score,
+    homeScore: data.homeTeam.score,
+    ...getShots(data)
+  });
+}
+
+function getFinalLabel(data) {
+  const lastPeriodType = data.gameOutcome?.lastPeriodType || data.periodDescriptor?.periodType;
+  const overtimes = (data.periodDescriptor?.number || 4) - 3;
+  return getLabels().finalLabel(lastPeriodType, overtimes);
+}
+
+function formatStar(star) {
+  const name = localizeName(star.name) || getLabels().unknownPlayer;
+  const team = localizeName(star.teamAbbrev);
+  return `${star.star}. ${name}${team ? ` (${team})` : ''}`;
+}
+
+export function formatFinalMessage(data, teams, threeStars = [], gameWinningGoal = null) {
+  const stars = [...threeStars].sort((a, b) => a.star - b.star).map(formatStar);
+  return renderTemplate('final', {
+    away: teams.away,
+    home: teams.home,
+    finalLabel: getFinalLabel(data),
+    awayScore: data.awayTeam.score,
+    homeScore: data.homeTeam.score,
+    ...getShots(data),
+    gwgScorer: gameWinningGoal?.scorer,
+    gwgTeam: gameWinningGoal?.team,
+    threeStars: stars.length > 0 ? [getLabels().threeStars, ...stars].join('\n') : null
+  });
+}
+
+export function formatGameWinnerMessage(data, teams, gameWinningGoal) {
+  return renderTemplate('gameWinner', {
+    away: teams.away,
+    home: teams.home,
+    scorer: gameWinningGoal.scorer,
+    team: gameWinningGoal.team,
+    time: gameWinningGoal.time,
+    period: gameWinningGoal.period,
+    finalLabel: getFinalLabel(data),
+    awayScore: data.awayTeam.score,
+    homeScore: data.homeTeam.score
+  });
+}
@@ -0,0 +1,140 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import * as clock from './clock.mjs';
+
+// Structured JSON logs, one object per line:
+//   {"time":"...","level":"info","msg":"Queued post","pollId":"3f9c2a1b","gameId":2024020123,"goalKey":"...",...}
+// Context fields (pollId, gameId, goalKey, ...) are set with withLogContext() and
+// added to every line logged inside it, including from async work it starts, so one
+// goal can be followed from detection to post. LOG_LEVEL picks the lowest level
+// written (debug, info, warn, error). Error stacks and cause chains are only logged
+// at debug. Credentials are redacted by field name and by value.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SECRET_KEY = /(password|passwd|secret|token|authorization|apikey|api_key|cookie|jwt)$/i;
+const SECRET_ENV = /(PASSWORD|TOKEN|SECRET|WEBHOOK_URL)/;
+const REDACTED = '[REDACTED]';
+
+const storage = new AsyncLocalStorage();
+let minLevel = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] || LEVELS.info;
+let secretValues = collectSecretValues(process.env);
+
+function collectSecretValues(env) {
+  return Object.entries(env)
+    .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= 6)
+    .map(([, value]) => value)
+    .sort((a, b) => b.length - a.length);
+}
+
+export function setLogLevel(level) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  minLevel = LEVELS[level];
+}
+
+// For secrets that don't come from the environment, e.g. ones read from the config file
+export function addSecretValue(value) {
+  if (String(value).length >= 6 && !secretValues.includes(String(value))) {
+    secretValues = [...secretValues, String(value)].sort((a, b) => b.length - a.length);
+  }
+}
+
+export function isDebugEnabled() {
+  return minLevel <= LEVELS.debug;
+}
+
+export function withLogContext(fields, fn) {
+  return storage.run({ ...storage.getStore(), ...fields }, fn);
+}
+
+export function getLogContext() {
+  return storage.getStore() || {};
+}
+
+function redactString(text) {
+  let result = text;
+  for (const secret of secretValues) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+  return result;
+}
+
+function serializeError(error, depth = 0) {
+  const serialized = {
+    type: error.constructor?.name || 'Error',
+    message: String(error.message || '')
+  };
+  for (const key of ['status', 'code']) {
+    if (error[key] !== undefined) {
+      serialized[key] = error[key];
+    }
+  }
+  if (isDebugEnabled()) {
+    serialized.stack = String(error.stack || '');
+    if (error.cause && depth < 5) {
+      serialized.cause = error.cause instanceof Error
+        ? serializeError(error.cause, depth + 1)
+        : error.cause;
+    }
+  }
+  return serialized;
+}
+
+// Copies a value into plain JSON-safe data, redacting secrets and breaking cycles
+function sanitize(value, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    return sanitize(serializeError(value), seen);
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular Reference]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, seen));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY.test(key) && item ? REDACTED : sanitize(item, seen);
+  }
+  return result;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  let line;
+  try {
+    line = JSON.stringify({
+      time: new Date(clock.now()).toISOString(),
+      level,
+      msg: redactString(String(msg)),
+      ...sanitize(getLogContext()),
+      ...sanitize(fields)
+    });
+  } catch (error) {
+    line = JSON.stringify({ time: new Date().toISOString(), level, msg: redactString(String(msg)), logError: error.message });
+  }
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
@@ -0,0 +1,62 @@
+// Prometheus counters and gauges, rendered in the text exposition format on /metrics
+
+const PREFIX = 'nhl_goal_bot_';
+
+const definitions = {
+  polls_total: { type: 'counter', help: 'Poll cycles run, by result' },
+  api_errors_total: { type: 'counter', help: 'Failed NHL API requests, by endpoint' },
+  goals_detected_total: { type: 'counter', help: 'New goals seen in play-by-play data' },
+  posts_total: { type: 'counter', help: 'Posts sent to sinks, by sink and result' },
+  post_retries_total: { type: 'counter', help: 'Post attempts retried, by layer' },
+  duplicates_skipped_total: { type: 'counter', help: 'Unchanged repeats of a queued or posted goal that were skipped' },
+  goal_revisions_total: { type: 'counter', help: 'Changes to a goal seen after it was first detected, by field' },
+  commands_total: { type: 'counter', help: 'Commands received, by command and result' },
+  notifications_total: { type: 'counter', help: 'Goal notification DMs sent to followers, by result' },
+  active_games: { type: 'gauge', help: 'Games fetched in the last poll cycle' },
+  post_queue_pending: { type: 'gauge', help: 'Posts waiting in the outbound queue' },
+  dead_letters: { type: 'gauge', help: 'Posts given up on after repeated failures' },
+  last_successful_poll_timestamp_seconds: { type: 'gauge', help: 'Unix time of the last poll cycle without errors' }
+};
+
+const values = {};
+
+function labelKey(labels) {
+  return Object.entries(labels)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+}
+
+function getSeries(name) {
+  if (!definitions[name]) {
+    throw new Error(`Unknown metric ${name}`);
+  }
+  values[name] = values[name] || {};
+  return values[name];
+}
+
+export function incrementCounter(name, labels = {}, amount = 1) {
+  const series = getSeries(name);
+  const key = labelKey(labels);
+  series[key] = (series[key] || 0) + amount;
+}
+
+export function setGauge(name, value, labels = {}) {
+  getSeries(name)[labelKey(labels)] = value;
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, { type, help }] of Object.entries(definitions)) {
+    lines.push(`# HELP ${PREFIX}${name} ${help}`);
+    lines.push(`# TYPE ${PREFIX}${name} ${type}`);
+    const series = values[name] || {};
+    if (Object.keys(series).length === 0 && type === 'counter') {
+      lines.push(`${PREFIX}${name} 0`);
+    }
+    for (const [key, value] of Object.entries(series)) {
+      lines.push(`${PREFIX}${name}${key ? `{${key}}` : ''} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
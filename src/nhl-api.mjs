@@ -0,0 +1,102 @@
+import { createApiClient } from './api-client.mjs';
+import { incrementCounter } from './metrics.mjs';
+import { logger } from './logger.mjs';
+
+let client = createApiClient();
+
+// Lets replays serve recorded responses instead of calling the live API
+export function setFetch(impl) {
+  client = createApiClient(impl ? { fetch: impl } : {});
+}
+
+function validateGameData(data) {
+  if (!data?.plays || !Array.isArray(data.plays)) {
+    throw new Error('Invalid game data structure');
+  }
+  return data;
+}
+
+export async function fetchNHLSchedule() {
+  try {
+    return await client.getJson('/schedule/now');
+  } catch (error) {
+    logger.error('Error fetching NHL schedule', { error });
+    incrementCounter('api_errors_total', { endpoint: 'schedule' });
+    throw error;
+  }
+}
+
+export async function fetchGamePlayByPlay(gameId) {
+  try {
+    const data = await client.getJson(`/gamecenter/${gameId}/play-by-play`);
+    return validateGameData(data);
+  } catch (error) {
+    logger.error('Error fetching play-by-play', { gameId, error });
+    incrementCounter('api_errors_total', { endpoint: 'play-by-play' });
+    throw error;
+  }
+}
+
+export async function fetchGameLanding(gameId) {
+  try {
+    return await client.getJson(`/gamecenter/${gameId}/landing`, { maxAge: 30 * 1000 });
+  } catch (error) {
+    logger.error('Error fetching game landing', { gameId, error });
+    incrementCounter('api_errors_total', { endpoint: 'game-landing' });
+    throw error;
+  }
+}
+
+export async function fetchPlayerLanding(playerId) {
+  try {
+    return await client.getJson(`/player/${playerId}/landing`, { maxAge: 60 * 60 * 1000 });
+  } catch (error) {
+    logger.error('Error fetching player landing', { playerId, error });
+    incrementCounter('api_errors_total', { endpoint: 'player-landing' });
+    throw error;
+  }
+}
+
+// Scores for 'now' or a YYYY-MM-DD date, for command replies
+export async function fetchScores(date = 'now') {
+  try {
+    return await client.getJson(`/score/${date}`, { maxAge: 30 * 1000 });
+  } catch (error) {
+    logger.error('Error fetching scores', { date, error });
+    incrementCounter('api_errors_total', { endpoint: 'score' });
+    throw error;
+  }
+}
+
+export async function fetchScheduleForDate(date) {
+  try {
+    return await client.getJson(`/schedule/${date}`, { maxAge: 5 * 60 * 1000 });
+  } catch (error) {
+    logger.error('Error fetching NHL schedule', { date, error });
+    incrementCounter('api_errors_total', { endpoint: 'schedule' });
+    throw error;
+  }
+}
+
+export async function fetchStandings() {
+  try {
+    return await client.getJson('/standings/now', { maxAge: 10 * 60 * 1000 });
+  } catch (error) {
+    logger.error('Error fetching standings', { error });
+    incrementCounter('api_errors_total', { endpoint: 'standings' });
+    throw error;
+  }
+}
+
+// category is 'goals', 'assists' or 'points'
+export async function fetchSkaterLeaders(category, limit = 5) {
+  try {
+    return await client.getJson(`/skater-stats-leaders/current?categories=${category}&limit=${limit}`, {
+      maxAge: 10 * 60 * 1000
+    });
+  } catch (error) {
+    logger.error('Error fetching skater leaders', { category, error });
+    incrementCounter('api_errors_total', { endpoint: 'skater-leaders' });
+    throw error;
+  }
+}
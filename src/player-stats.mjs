@@ -0,0 +1,163 @@
+import { fetchPlayerLanding } from './nhl-api.mjs';
+import { getHockeyDate } from './utils.mjs';
+import { logger } from './logger.mjs';
+
+// Season, career and franchise totals from the player landing endpoint, cached per
+// player per hockey day. Landing stats only update after a game, so they're treated as
+// pre-game totals.
+let statsCache = {};
+
+const REGULAR_SEASON = 2;
+const PLAYOFFS = 3;
+
+function getTotals(stats) {
+  return { goals: stats?.goals ?? 0, assists: stats?.assists ?? 0 };
+}
+
+// Career totals are null when the landing doesn't have them, so nothing is mistaken for a first goal
+function getCareerTotals(stats) {
+  return stats ? getTotals(stats) : null;
+}
+
+// Totals with the player's current team, from the NHL rows of their season-by-season stats
+function getFranchiseTotals(landing, gameTypeId) {
+  const teamName = landing?.fullTeamName?.default;
+  const seasons = (landing?.seasonTotals || []).filter(season =>
+    season.leagueAbbrev === 'NHL' &&
+    season.gameTypeId === gameTypeId &&
+    teamName && season.teamName?.default === teamName
+  );
+  return {
+    team: seasons.length > 0 ? landing.currentTeamAbbrev || null : null,
+    goals: seasons.reduce((sum, season) => sum + (season.goals || 0), 0),
+    assists: seasons.reduce((sum, season) => sum + (season.assists || 0), 0)
+  };
+}
+
+async function getPlayerStats(playerId) {
+  const day = getHockeyDate();
+  if (statsCache[playerId]?.day === day) {
+    return statsCache[playerId].stats;
+  }
+
+  const landing = await fetchPlayerLanding(playerId);
+  const stats = {
+    regular: {
+      season: getTotals(landing?.featuredStats?.regularSeason?.subSeason),
+      career: getCareerTotals(landing?.careerTotals?.regularSeason),
+      franchise: getFranchiseTotals(landing, REGULAR_SEASON)
+    },
+    playoffs: {
+      season: getTotals(landing?.featuredStats?.playoffs?.subSeason),
+      career: getCareerTotals(landing?.careerTotals?.playoffs),
+      franchise: getFranchiseTotals(landing, PLAYOFFS)
+    }
+  };
+
+  // Drop entries from earlier days whenever a new one is written
+  statsCache = Object.fromEntries(
+    Object.entries(statsCache).filter(([, entry]) => entry.day === day)
+  );
+  statsCache[playerId] = { day, stats };
+  return stats;
+}
+
+export async function getPlayerSeasonStats(playerId, isPlayoffs = false) {
+  const stats = await getPlayerStats(playerId);
+  return isPlayoffs ? stats.playoffs.season : stats.regular.season;
+}
+
+// Fills in season totals the play details didn't carry, adding tonight's goals and
+// assists up to this play to the cached pre-game totals
+export async function addSeasonTotals(goal) {
+  if (goal.scorerSeasonGoals == null && goal.scorerId) {
+    try {
+      const stats = await getPlayerSeasonStats(goal.scorerId, goal.isPlayoffs);
+      goal.scorerSeasonGoals = stats.goals + goal.scorerGameGoals;
+    } catch (error) {
+      logger.info('No season goal total for player', { playerId: goal.scorerId, error });
+    }
+  }
+
+  for (const [i, assistId] of (goal.assistIds || []).entries()) {
+    if (goal.assistSeasonTotals[i] != null) {
+      continue;
+    }
+    try {
+      const stats = await getPlayerSeasonStats(assistId, goal.isPlayoffs);
+      goal.assistSeasonTotals[i] = stats.assists + goal.assistGameAssists[i];
+    } catch (error) {
+      logger.info('No season assist total for player', { playerId: assistId, error });
+    }
+  }
+
+  return goal;
+}
+
+function isRoundNumber(count) {
+  return count > 0 && count % 100 === 0;
+}
+
+// The milestone a player reaches with this goal, given tonight's goals and assists up to
+// it, or null. Only one per player is called out so the post stays readable: a first goal,
+// then goals or assists before points, and career totals before franchise ones.
+function findPlayerMilestone(stats, team, game, { scored }) {
+  if (!stats.career) {
+    return null;
+  }
+  const career = {
+    goal: stats.career.goals + game.goals,
+    assist: stats.career.assists + game.assists,
+    point: stats.career.goals + stats.career.assists + game.goals + game.assists
+  };
+  const franchise = {
+    goal: stats.franchise.goals + game.goals,
+    assist: stats.franchise.assists + game.assists,
+    point: stats.franchise.goals + stats.franchise.assists + game.goals + game.assists
+  };
+  if (scored && career.goal === 1) {
+    return { type: 'first-goal', stat: 'goal', count: 1 };
+  }
+  const candidates = scored ? ['goal', 'point'] : ['assist', 'point'];
+  const careerStat = candidates.find(stat => isRoundNumber(career[stat]));
+  if (careerStat) {
+    return { type: 'career', stat: careerStat, count: career[careerStat] };
+  }
+  const franchiseStat = candidates.find(stat => isRoundNumber(franchise[stat]));
+  if (franchiseStat && stats.franchise.team === team) {
+    return { type: 'franchise', stat: franchiseStat, count: franchise[franchiseStat], team };
+  }
+  return null;
+}
+
+// Adds goal.milestones: round-number career goals, assists and points, first NHL
+// goals, and round numbers with the player's current team, for the scorer and each
+// assister. Players whose stats can't be fetched are skipped.
+export async function addMilestones(goal) {
+  const players = [
+    { id: goal.scorerId, name: goal.scorer, scored: true, game: { goals: goal.scorerGameGoals, assists: goal.scorerGameAssists || 0 } },
+    ...(goal.assistIds || []).map((id, i) => ({
+      id,
+      name: goal.assistNames[i],
+      scored: false,
+      game: { goals: goal.assistGameGoals?.[i] || 0, assists: goal.assistGameAssists[i] }
+    }))
+  ];
+
+  goal.milestones = [];
+  for (const player of players.filter(player => player.id)) {
+    try {
+      const stats = await getPlayerStats(player.id);
+      const milestone = findPlayerMilestone(goal.isPlayoffs ? stats.playoffs : stats.regular, goal.team, player.game, player);
+      if (milestone) {
+        goal.milestones.push({ ...milestone, player: player.name, scorer: player.scored });
+      }
+    } catch (error) {
+      logger.info('No career totals for player, skipping milestones', { playerId: player.id, error });
+    }
+  }
+  if (goal.milestones.length > 0) {
+    logger.info('Goal reaches milestones', { milestones: goal.milestones });
+  }
+  return goal;
+}
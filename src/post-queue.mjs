@@ -0,0 +1,277 @@
+import * as clock from './clock.mjs';
+import { config } from './config.mjs';
+import { getState, saveState } from './state-store.mjs';
+import { incrementCounter } from './metrics.mjs';
+import { getSinkPausedUntil } from './sinks/index.mjs';
+import { logger, withLogContext, getLogContext } from './logger.mjs';
+
+// Outbound posts go through a queue so detection never waits on posting. Each
+// item is for one sink, and every sink works through its own items side by side
+// with the others, so a slow or failing sink holds up nobody else. A sink's items
+// are sent one at a time, which keeps each game thread in order, highest priority
+// first and oldest first within a priority. A token bucket per sink caps the
+// posting rate, failed items are retried with backoff, and items that keep
+// failing are moved to the dead-letter list in state. Each item keeps the log
+// context it was queued in, so its send and outcome logs carry the same gameId
+// and goalKey as the detection that queued it.
+
+export const PRIORITY = {
+  HIGH: 0, // corrections and overturns
+  NORMAL: 1, // goals and game lifecycle posts
+  LOW: 2 // highlight replies, command answers and follower DMs
+};
+
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY = 15000;
+const MAX_DEAD_LETTERS = 50;
+const QUEUE_TICK = 1000;
+
+let queue = [];
+let sequence = 0;
+let running = false;
+let paused = false;
+// Sinks whose items are being sent, and sinks that last stopped at the rate limit
+const busySinks = new Set();
+const rateLimitedSinks = new Set();
+
+export function createTokenBucket({ capacity, refillInterval }) {
+  let tokens = capacity;
+  let lastRefill = clock.now();
+
+  function refill() {
+    const refilled = Math.floor((clock.now() - lastRefill) / refillInterval);
+    if (refilled > 0) {
+      tokens = Math.min(capacity, tokens + refilled);
+      lastRefill += refilled * refillInterval;
+    }
+    if (tokens === capacity) {
+      lastRefill = clock.now();
+    }
+  }
+
+  return {
+    take() {
+      refill();
+      if (tokens === 0) {
+        return false;
+      }
+      tokens--;
+      return true;
+    },
+    available() {
+      refill();
+      return tokens;
+    }
+  };
+}
+
+let buckets = new Map();
+
+// Each sink is its own account with its own write limits. Buckets are created on
+// first use so a replay's simulated clock is already in place.
+function getBucket(sinkName) {
+  if (!buckets.has(sinkName)) {
+    buckets.set(sinkName, createTokenBucket({
+      capacity: config.POST_BURST,
+      refillInterval: 60 * 60 * 1000 / config.POSTS_PER_HOUR
+    }));
+  }
+  return buckets.get(sinkName);
+}
+
+// Adds a post for one sink to the queue; a post for several sinks is queued once for
+// each, under the same key. send() publishes it and resolves to the post reference
+// by sink name, or null if the sink didn't accept it. onSent(posts) and
+// onDeadLetter({ uncertain }) record the outcome for that sink; uncertain is true
+// when the post timed out and may have gone out after all.
+// Items that aren't public posts, such as DMs, pass limited: false to skip the post rate limit.
+// Returns false if an item with the same key is already waiting for the sink.
+export function enqueuePost({ key, sink, priority = PRIORITY.NORMAL, description, send, onSent, onDeadLetter, limited = true }) {
+  if (queue.some(item => item.key === key && item.sink === sink)) {
+    return false;
+  }
+  queue.push({
+    key,
+    sink,
+    priority,
+    description,
+    send,
+    onSent,
+    onDeadLetter,
+    limited,
+    context: { ...getLogContext(), postKey: key, sink },
+    attempts: 0,
+    notBefore: 0,
+    sequence: sequence++
+  });
+  logger.info('Queued post', { postKey: key, sink, priority, pending: queue.length });
+  return true;
+}
+
+// Whether the post is still waiting for any of its sinks
+export function isQueued(key) {
+  return queue.some(item => item.key === key);
+}
+
+export function getQueueStatus() {
+  return {
+    paused,
+    pending: queue.length,
+    tokens: Object.fromEntries([...buckets].map(([sinkName, bucket]) => [sinkName, bucket.available()])),
+    deadLetters: getState().deadLetters.length
+  };
+}
+
+function nextReadyItem(sinkName) {
+  const now = clock.now();
+  return queue
+    .filter(item => item.sink === sinkName && item.notBefore <= now)
+    .sort((a, b) => a.priority - b.priority || a.sequence - b.sequence)[0];
+}
+
+async function deadLetter(item, reason, { uncertain = false } = {}) {
+  const state = getState();
+  state.deadLetters.push({
+    key: item.key,
+    sink: item.sink,
+    description: item.description,
+    attempts: item.attempts,
+    reason,
+    failedAt: clock.now()
+  });
+  state.deadLetters = state.deadLetters.slice(-MAX_DEAD_LETTERS);
+  await saveState();
+  logger.error('Giving up on post', { attempts: item.attempts, reason, uncertain });
+  await item.onDeadLetter?.({ uncertain });
+}
+
+async function sendItem(item) {
+  queue = queue.filter(queued => queued !== item);
+  item.attempts++;
+
+  let posts = null;
+  let reason = 'the sink did not accept the post';
+  try {
+    posts = await item.send();
+  } catch (error) {
+    reason = String(error.message || error);
+    // Sending it again could post it twice
+    if (error.uncertain) {
+      await deadLetter(item, `${reason}; it may have gone out, so it is not sent again`, { uncertain: true });
+      return;
+    }
+  }
+
+  if (posts) {
+    await item.onSent?.(posts);
+    return;
+  }
+
+  if (item.attempts >= MAX_ATTEMPTS) {
+    await deadLetter(item, reason);
+    return;
+  }
+
+  const retryDelay = RETRY_BASE_DELAY * 2 ** (item.attempts - 1);
+  logger.warn('Post failed, retrying', { attempts: item.attempts, reason, retryInSeconds: retryDelay / 1000 });
+  incrementCounter('post_retries_total', { layer: 'queue' });
+  item.notBefore = clock.now() + retryDelay;
+  queue.push(item);
+}
+
+// Sends the sink's items that are due, one at a time, as long as its rate limit allows.
+// A sink paused after repeated failures keeps its items until the pause ends, so an
+// outage doesn't use up their attempts.
+async function processSinkQueue(sinkName) {
+  busySinks.add(sinkName);
+  try {
+    let item;
+    while (!paused && (item = nextReadyItem(sinkName))) {
+      const pausedUntil = getSinkPausedUntil(sinkName);
+      if (pausedUntil > clock.now()) {
+        const held = queue.filter(queued => queued.sink === sinkName);
+        for (const queued of held) {
+          queued.notBefore = Math.max(queued.notBefore, pausedUntil);
+        }
+        logger.info('Holding posts until the sink pause ends', {
+          sink: sinkName,
+          held: held.length,
+          resumeInSeconds: Math.round((pausedUntil - clock.now()) / 1000)
+        });
+        break;
+      }
+      if (item.limited && !getBucket(sinkName).take()) {
+        if (!rateLimitedSinks.has(sinkName)) {
+          logger.warn('Post rate limit reached', { sink: sinkName, pending: queue.length });
+        }
+        rateLimitedSinks.add(sinkName);
+        break;
+      }
+      rateLimitedSinks.delete(sinkName);
+      await withLogContext(item.context, async () => {
+        try {
+          await sendItem(item);
+        } catch (error) {
+          logger.error('Error handling queued post', { error });
+        }
+      });
+    }
+  } finally {
+    busySinks.delete(sinkName);
+  }
+}
+
+// Sends every item that is due, each sink's side by side. Sinks still busy from an
+// earlier call are left to it.
+export async function processPostQueue() {
+  if (paused) {
+    return;
+  }
+  const sinkNames = new Set(queue.map(item => item.sink).filter(sinkName => !busySinks.has(sinkName)));
+  await Promise.all([...sinkNames].map(processSinkQueue));
+}
+
+// Keeps draining the queue in the background; replays call processPostQueue() directly instead.
+// Ticks don't wait for the sends they start, so a hung sink doesn't hold up the others.
+export function startPostQueue() {
+  if (running) {
+    return;
+  }
+  running = true;
+  (async () => {
+    while (running) {
+      processPostQueue();
+      await clock.delay(QUEUE_TICK);
+    }
+  })();
+}
+
+export function stopPostQueue() {
+  running = false;
+}
+
+// Pausing holds every post in the queue; detection carries on and queues as usual
+export function pausePostQueue() {
+  paused = true;
+  logger.info('Posting paused', { pending: queue.length });
+}
+
+export function resumePostQueue() {
+  paused = false;
+  logger.info('Posting resumed', { pending: queue.length });
+}
+
+// Drops a waiting item without sending it; returns whether one was queued
+export function removeQueuedPost(key) {
+  const before = queue.length;
+  queue = queue.filter(item => item.key !== key);
+  return queue.length < before;
+}
+
+export function resetPostQueue() {
+  queue = [];
+  paused = false;
+  buckets = new Map();
+  busySinks.clear();
+  rateLimitedSinks.clear();
+}
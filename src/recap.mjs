@@ -0,0 +1,232 @@
+import { config } from './config.mjs';
+import { getState, saveState } from './state-store.mjs';
+import { publish } from './sinks/index.mjs';
+import { getGameInfo, matchesFilter } from './accounts.mjs';
+import { enqueuePost, PRIORITY } from './post-queue.mjs';
+import { fetchGamePlayByPlay } from './nhl-api.mjs';
+import { isFinalState } from './lifecycle.mjs';
+import { findPlayer, isShootoutPlay } from './goals.mjs';
+import { renderTemplate, getLabels, localizeName, countGraphemes } from './templates.mjs';
+import { formatEasternTime, getHockeyDate, addDays } from './utils.mjs';
+import { logger, withLogContext } from './logger.mjs';
+
+// Once the last of a day's games in the schedule is final, a recap thread is posted:
+// the final scores, standout performances from the play-by-play (hat tricks,
+// multi-point nights, shutouts) and the next day's games. A day is recorded in
+// state.recaps when a poll first sees one of its games unfinished, so only days the
+// bot watched are recapped, and each of them once:
+//   recaps: { '2024-11-02': { status: 'waiting' | 'posted', threads } }
+// The recap goes to the accounts whose filter takes every one of the day's games.
+
+const RECAP_KEEP_DAYS = 7;
+const MIN_POINTS = 2;
+const TIME_ONLY = { year: undefined, month: undefined, day: undefined, second: undefined };
+
+// Days whose recap is waiting in the post queue. The queue only lives in memory, so
+// this does too: after a restart, a recap that hadn't gone out is queued again.
+const queuedRecaps = new Set();
+
+// Postponed games never go final, so they're left out of the day
+function isPlayed(game) {
+  return !game.gameScheduleState || game.gameScheduleState === 'OK';
+}
+
+function formatRecapDate(date) {
+  return getLabels().recapDate(new Date(`${date}T12:00:00Z`));
+}
+
+// 'TOR 3 - 2 MTL (OT)'
+function formatScoreLine(data) {
+  const overtimes = (data.periodDescriptor?.number || 4) - 3;
+  const marker = getLabels().overtimeMarker(data.gameOutcome?.lastPeriodType || data.periodDescriptor?.periodType, overtimes);
+  const score = `${data.awayTeam.abbrev} ${data.awayTeam.score} - ${data.homeTeam.score} ${data.homeTeam.abbrev}`;
+  return marker ? `${score} (${marker})` : score;
+}
+
+function formatPlayer(data, playerId) {
+  const player = findPlayer(data, playerId);
+  const name = player
+    ? `${localizeName(player.firstName)} ${localizeName(player.lastName)}`
+    : getLabels().unknownPlayer;
+  const team = [data.awayTeam, data.homeTeam].find(team => team.id === player?.teamId)?.abbrev;
+  return team ? `${name} (${team})` : name;
+}
+
+// Skaters with a hat trick or MIN_POINTS points, and goalies who played a whole shutout.
+// Shootout goals don't count, as in the official stats.
+function findPerformances(data) {
+  const goals = data.plays.filter(play => play.typeDescKey === 'goal' && !isShootoutPlay(play));
+  const points = new Map();
+  const credit = (playerId, field) => {
+    const player = points.get(playerId) || { playerId, goals: 0, assists: 0 };
+    player[field]++;
+    points.set(playerId, player);
+  };
+  for (const play of goals) {
+    credit(play.details.scoringPlayerId, 'goals');
+    for (const assist of play.details.assists || []) {
+      credit(assist.playerId, 'assists');
+    }
+  }
+
+  const performances = [...points.values()]
+    .filter(player => player.goals >= 3 || player.goals + player.assists >= MIN_POINTS)
+    .map(player => ({
+      rank: player.goals >= 3 ? 2 : 1,
+      value: player.goals + player.assists,
+      text: `${player.goals >= 3 ? '🎩 ' : ''}${formatPlayer(data, player.playerId)} ${getLabels().playerPoints(player.goals, player.assists)}`
+    }));
+
+  for (const shooters of [data.awayTeam, data.homeTeam]) {
+    if (goals.some(play => play.details.eventOwnerTeamId === shooters.id)) {
+      continue;
+    }
+    const saves = data.plays.filter(play => play.typeDescKey === 'shot-on-goal' && play.details?.eventOwnerTeamId === shooters.id);
+    const goalies = new Set(saves.map(play => play.details.goalieInNetId).filter(Boolean));
+    if (goalies.size === 1) {
+      const [goalieId] = goalies;
+      performances.push({
+        rank: 2,
+        value: saves.length,
+        text: `🧱 ${formatPlayer(data, goalieId)} ${getLabels().shutout(saves.length)}`
+      });
+    }
+  }
+  return performances;
+}
+
+// Splits a list over as many posts as it needs, each rendered from the same template
+function renderListPosts(name, values, listKey, lines) {
+  const posts = [];
+  let chunk = [];
+  const render = items => renderTemplate(name, { ...values, [listKey]: items.join('\n') }, Infinity);
+  for (const line of lines) {
+    if (chunk.length > 0 && countGraphemes(render([...chunk, line])) > config.MAX_POST_LENGTH) {
+      posts.push(renderTemplate(name, { ...values, [listKey]: chunk.join('\n') }));
+      chunk = [];
+    }
+    chunk.push(line);
+  }
+  if (chunk.length > 0) {
+    posts.push(renderTemplate(name, { ...values, [listKey]: chunk.join('\n') }));
+  }
+  return posts;
+}
+
+async function buildRecapPosts(date, games, nextDay) {
+  const results = await Promise.all(games.map(game => fetchGamePlayByPlay(game.id)));
+
+  const performances = results
+    .flatMap(findPerformances)
+    .sort((a, b) => b.rank - a.rank || b.value - a.value)
+    .map(performance => performance.text);
+
+  const nextGames = (nextDay?.games || []).filter(isPlayed);
+  const slate = nextGames.map(game => {
+    const start = formatEasternTime(new Date(game.startTimeUTC), TIME_ONLY);
+    return `${game.awayTeam.abbrev} @ ${game.homeTeam.abbrev} ${start}`;
+  });
+
+  return [
+    ...renderListPosts('recapScores', { date: formatRecapDate(date) }, 'scores', results.map(formatScoreLine)),
+    ...renderListPosts('recapPerformances', {}, 'performances', performances),
+    ...(slate.length > 0 ? renderListPosts('recapSlate', { date: formatRecapDate(nextDay.date) }, 'games', slate) : [])
+  ];
+}
+
+// The first post becomes the thread root and each later one replies to the previous
+async function postToRecapThread(date, text, recapSinks) {
+  const recap = getState().recaps[date];
+  const posts = await publish(recapSinks, { text, thread: recap.threads });
+  if (Object.keys(posts).length === 0) {
+    return null;
+  }
+  for (const [sinkName, postRef] of Object.entries(posts)) {
+    recap.threads[sinkName] = {
+      root: recap.threads[sinkName]?.root || postRef,
+      parent: postRef
+    };
+  }
+  await saveState();
+  return posts;
+}
+
+async function queueRecap(day, games, nextDay, recapSinks) {
+  const recap = getState().recaps[day.date];
+  let posts;
+  try {
+    posts = await buildRecapPosts(day.date, games, nextDay);
+  } catch (error) {
+    logger.warn('Unable to build the daily recap, trying again next poll', { error });
+    return;
+  }
+
+  // A recap cut short by a restart starts a new thread
+  recap.threads = {};
+  queuedRecaps.add(day.date);
+  logger.info('Queueing daily recap', { games: games.length, posts: posts.length });
+
+  // A recap that keeps failing is given up on rather than queued again every poll
+  const markPosted = async () => {
+    queuedRecaps.delete(day.date);
+    recap.status = 'posted';
+    await saveState();
+  };
+  for (const sink of recapSinks) {
+    posts.forEach((text, i) => {
+      const isLast = i === posts.length - 1;
+      enqueuePost({
+        key: `recap-${day.date}-${i + 1}`,
+        sink: sink.name,
+        priority: PRIORITY.NORMAL,
+        description: text.split('\n')[0],
+        send: () => postToRecapThread(day.date, text, [sink]),
+        onSent: isLast ? markPosted : undefined,
+        onDeadLetter: isLast ? markPosted : undefined
+      });
+    });
+  }
+}
+
+function pruneRecaps(recaps) {
+  const oldest = addDays(getHockeyDate(), -RECAP_KEEP_DAYS);
+  for (const date of Object.keys(recaps)) {
+    if (date < oldest) {
+      delete recaps[date];
+    }
+  }
+}
+
+// Called after every poll cycle with the schedule's gameWeek
+export async function checkDailyRecap(gameWeek, sinks) {
+  const recaps = getState().recaps;
+
+  for (const [i, day] of gameWeek.entries()) {
+    const games = (day.games || []).filter(isPlayed);
+    if (games.length === 0 || queuedRecaps.has(day.date) || recaps[day.date]?.status === 'posted') {
+      continue;
+    }
+
+    if (!games.every(game => isFinalState(game.gameState))) {
+      if (!recaps[day.date]) {
+        recaps[day.date] = { status: 'waiting', threads: {} };
+        pruneRecaps(recaps);
+        await saveState();
+      }
+      continue;
+    }
+    if (!recaps[day.date]) {
+      continue;
+    }
+
+    const recapSinks = sinks.filter(sink => games.every(game => matchesFilter(sink.filter, getGameInfo(game))));
+    if (recapSinks.length === 0) {
+      recaps[day.date].status = 'posted';
+      await saveState();
+      continue;
+    }
+    const nextDate = addDays(day.date, 1);
+    const nextDay = gameWeek.slice(i + 1).find(next => next.date === nextDate);
+    await withLogContext({ recapDate: day.date }, () => queueRecap(day, games, nextDay, recapSinks));
+  }
+}
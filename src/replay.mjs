@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as clock from './clock.mjs';
+import { config } from './config.mjs';
+import { setFetch } from './nhl-api.mjs';
+import { loadState, saveState } from './state-store.mjs';
+import { createSinks } from './sinks/index.mjs';
+import { initGoalBot, pollGames } from './goal-bot.mjs';
+import { processPostQueue, resetPostQueue } from './post-queue.mjs';
+import { formatEasternTime } from './utils.mjs';
+import { logger } from './logger.mjs';
+
+// Replays recorded NHL API responses through the bot on a simulated clock.
+//
+// A replay directory holds one subdirectory per poll step, sorted by name:
+//   fixtures/my-game/001/schedule-now.json
+//   fixtures/my-game/001/gamecenter-2024020123-play-by-play.json
+//   fixtures/my-game/002/gamecenter-2024020123-play-by-play.json
+// File names are the API path with slashes replaced by dashes. Step N is served
+// from POLL_INTERVAL * N after the start, and a step only needs the files that
+// changed: anything missing falls back to the most recent earlier snapshot.
+
+async function loadTimeline(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const stepNames = entries
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  if (stepNames.length === 0) {
+    throw new Error(`No replay steps found in ${dir}`);
+  }
+
+  return Promise.all(stepNames.map(async name => {
+    const files = await fs.readdir(path.join(dir, name));
+    const snapshots = {};
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      snapshots[file] = await fs.readFile(path.join(dir, name, file), 'utf8');
+    }
+    return { name, snapshots };
+  }));
+}
+
+function getSnapshotName(url) {
+  const apiPath = url.startsWith(config.API_BASE_URL)
+    ? url.slice(config.API_BASE_URL.length)
+    : new URL(url).pathname;
+  return `${apiPath.replace(/^\/+/, '').replace(/\//g, '-')}.json`;
+}
+
+function createFixtureFetch(steps, startTime) {
+  return async url => {
+    const elapsedSteps = Math.floor((clock.now() - startTime) / config.POLL_INTERVAL);
+    const stepIndex = Math.min(Math.max(elapsedSteps, 0), steps.length - 1);
+    const snapshotName = getSnapshotName(url);
+
+    for (let i = stepIndex; i >= 0; i--) {
+      const body = steps[i].snapshots[snapshotName];
+      if (body !== undefined) {
+        return {
+          ok: true,
+          status: 200,
+          headers: { get: name => name.toLowerCase() === 'content-type' ? 'application/json' : null },
+          json: async () => JSON.parse(body)
+        };
+      }
+    }
+
+    logger.warn('Replay has no snapshot', { snapshot: snapshotName, step: stepIndex + 1 });
+    return {
+      ok: false,
+      status: 404,
+      headers: { get: () => null },
+      json: async () => ({})
+    };
+  };
+}
+
+function printCapturedPosts(posts) {
+  console.log(`\nReplay captured ${posts.length} post(s):`);
+  for (const post of posts) {
+    const notes = [
+      post.replyTo && `reply to ${post.replyTo}`,
+      post.quoted && `quoting ${post.quoted}`,
+      post.media && `${post.media.type}: ${post.media.uri}`,
+      post.deleted && 'deleted'
+    ].filter(Boolean);
+    console.log(`\n[${post.id}] ${formatEasternTime(new Date(post.time))}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+    console.log(post.text);
+  }
+}
+
+export async function runReplay(dir, { startTime = Date.now(), outputFile } = {}) {
+  const steps = await loadTimeline(dir);
+  const simulatedClock = clock.createSimulatedClock(startTime);
+  clock.setClock(simulatedClock);
+  setFetch(createFixtureFetch(steps, startTime));
+
+  // Replays always start from empty state and never touch the live state file
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nhl-goal-bot-replay-'));
+  const [captureSink] = createSinks(['capture']);
+
+  try {
+    const state = await loadState(path.join(stateDir, 'state.json'));
+    initGoalBot({ state, sinks: [captureSink] });
+    resetPostQueue();
+
+    logger.info('Replaying', { steps: steps.length, dir });
+    // Keep polling until the clock has moved past the window served by the last step
+    const endTime = startTime + steps.length * config.POLL_INTERVAL;
+    // The post queue is drained after each poll instead of in the background, so runs are repeatable
+    while (clock.now() < endTime) {
+      await pollGames();
+      await processPostQueue();
+      await clock.delay(config.POLL_INTERVAL);
+    }
+    await processPostQueue();
+
+    printCapturedPosts(captureSink.posts);
+    if (outputFile) {
+      await fs.writeFile(outputFile, JSON.stringify(captureSink.posts, null, 2));
+      console.log(`\nWrote captured posts to ${outputFile}`);
+    }
+    return captureSink.posts;
+  } finally {
+    await saveState();
+    await fs.rm(stateDir, { recursive: true, force: true });
+    clock.setClock(null);
+    setFetch(null);
+  }
+}
@@ -0,0 +1,173 @@
+import { config } from './config.mjs';
+import { fitToLimit, countGraphemes, getLabels } from './templates.mjs';
+
+// Bluesky rich text: hashtags, mentions and links are only clickable when the post
+// carries facets marking them by UTF-8 byte range. Game posts get a footer of
+// tags built here, with the facets computed alongside so emoji and accented
+// names earlier in the text can't throw the offsets off. Player names in the
+// text link to their NHL.com player pages.
+
+const TAG = 'app.bsky.richtext.facet#tag';
+const MENTION = 'app.bsky.richtext.facet#mention';
+const LINK = 'app.bsky.richtext.facet#link';
+
+// Official team hashtags by abbreviation; TEAM_HASHTAGS in config overrides these
+const teamHashtags = {
+  ANA: 'FlyTogether',
+  BOS: 'NHLBruins',
+  BUF: 'LetsGoBuffalo',
+  CAR: 'LetsGoCanes',
+  CBJ: 'CBJ',
+  CGY: 'Flames',
+  CHI: 'Blackhawks',
+  COL: 'GoAvsGo',
+  DAL: 'TexasHockey',
+  DET: 'LGRW',
+  EDM: 'LetsGoOilers',
+  FLA: 'TimeToHunt',
+  LAK: 'GoKingsGo',
+  MIN: 'mnwild',
+  MTL: 'GoHabsGo',
+  NJD: 'NJDevils',
+  NSH: 'Smashville',
+  NYI: 'Isles',
+  NYR: 'NYR',
+  OTT: 'GoSensGo',
+  PHI: 'LetsGoFlyers',
+  PIT: 'LetsGoPens',
+  SEA: 'SeaKraken',
+  SJS: 'TheFutureIsTeal',
+  STL: 'stlblues',
+  TBL: 'GoBolts',
+  TOR: 'LeafsForever',
+  UTA: 'TusksUp',
+  VAN: 'Canucks',
+  VGK: 'VegasBorn',
+  WPG: 'GoJetsGo',
+  WSH: 'ALLCAPS'
+};
+
+const encoder = new TextEncoder();
+
+export function byteLength(text) {
+  return encoder.encode(text).length;
+}
+
+export function isKnownTeam(team) {
+  return Object.hasOwn(teamHashtags, team);
+}
+
+export function getGamecenterUrl(gameId) {
+  return `https://www.nhl.com/gamecenter/${gameId}`;
+}
+
+export function getPlayerUrl(playerId) {
+  return `https://www.nhl.com/player/${playerId}`;
+}
+
+// Link facets over the first mention of each player in text. Names are shown with
+// their sweater number, 'Auston Matthews (#34)', and only the name itself is linked.
+function getPlayerFacets(text, players) {
+  if (!config.PLAYER_LINKS) {
+    return [];
+  }
+
+  const facets = [];
+  for (const player of players) {
+    const name = player.name?.replace(/ \(#\d+\)$/, '');
+    if (!player.id || !name || name === getLabels().unknownPlayer) {
+      continue;
+    }
+    const index = text.indexOf(name);
+    if (index === -1) {
+      continue;
+    }
+    const byteStart = byteLength(text.slice(0, index));
+    const byteEnd = byteStart + byteLength(name);
+    // Facets can't overlap, e.g. when two players share a name
+    if (facets.some(facet => facet.index.byteStart < byteEnd && byteStart < facet.index.byteEnd)) {
+      continue;
+    }
+    facets.push({
+      index: { byteStart, byteEnd },
+      features: [{ $type: LINK, uri: getPlayerUrl(player.id) }]
+    });
+  }
+  return facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+}
+
+// Footer lines of segments for a game: tags and mentions such as '#TORvsMTL #LeafsForever
+// @mapleleafs.bsky.social', then the gamecenter link on its own line
+function getGameSegments(gameId, teams) {
+  const tags = [];
+
+  if (config.HASHTAGS && teams.away && teams.home) {
+    const gameTag = `${teams.away}vs${teams.home}`;
+    tags.push({ text: `#${gameTag}`, feature: { $type: TAG, tag: gameTag } });
+    for (const team of [teams.away, teams.home]) {
+      const tag = config.TEAM_HASHTAGS[team] || teamHashtags[team];
+      if (tag) {
+        tags.push({ text: `#${tag}`, feature: { $type: TAG, tag } });
+      }
+    }
+  }
+
+  for (const team of [teams.away, teams.home]) {
+    const handle = config.TEAM_ACCOUNTS[team];
+    if (handle) {
+      // Sinks resolve the handle to a DID when they post
+      tags.push({ text: `@${handle}`, feature: { $type: MENTION, handle } });
+    }
+  }
+
+  const lines = [tags];
+  if (config.GAMECENTER_LINKS && gameId) {
+    const uri = getGamecenterUrl(gameId);
+    lines.push([{ text: uri, feature: { $type: LINK, uri } }]);
+  }
+
+  return lines.filter(line => line.length > 0);
+}
+
+// Appends the game's hashtags, mentions and gamecenter link to text, shortening the
+// text first if needed so the whole post still fits MAX_POST_LENGTH, and links the
+// names of players ({ id, name }) mentioned in it. Returns { text, facets }.
+export function addGameRichText(text, gameId, teams = {}, players = []) {
+  const lines = getGameSegments(gameId, teams);
+  if (lines.length === 0) {
+    return { text, facets: getPlayerFacets(text, players) };
+  }
+
+  const footer = lines.map(line => line.map(segment => segment.text).join(' ')).join('\n');
+  const body = fitToLimit(text, config.MAX_POST_LENGTH - countGraphemes(footer) - 1);
+  let result = `${body}\n`;
+  const facets = getPlayerFacets(body, players);
+
+  lines.forEach((line, lineIndex) => {
+    if (lineIndex > 0) {
+      result += '\n';
+    }
+    line.forEach((segment, segmentIndex) => {
+      if (segmentIndex > 0) {
+        result += ' ';
+      }
+      const byteStart = byteLength(result);
+      result += segment.text;
+      facets.push({
+        index: { byteStart, byteEnd: byteStart + byteLength(segment.text) },
+        features: [segment.feature]
+      });
+    });
+  });
+
+  return { text: result, facets };
+}
+
+// Link facet for a URL appended to the end of already-faceted text
+export function linkFacet(text, uri) {
+  const byteEnd = byteLength(text);
+  return {
+    index: { byteStart: byteEnd - byteLength(uri), byteEnd },
+    features: [{ $type: LINK, uri }]
+  };
+}
@@ -0,0 +1,82 @@
+import * as clock from './clock.mjs';
+import { config } from './config.mjs';
+import { pollGames } from './goal-bot.mjs';
+import { formatEasternTime } from './utils.mjs';
+import { incrementCounter, setGauge } from './metrics.mjs';
+import { logger } from './logger.mjs';
+
+// Runs poll cycles back to back, each one starting only after the previous one has
+// finished, and picks the wait before the next cycle from what the last one found:
+// POLL_INTERVAL while games are live, a sleep until shortly before the next puck
+// drop when none are, and an exponential backoff while the NHL API is failing.
+
+let running = false;
+const status = {
+  lastPollAt: null,
+  lastSuccessfulPollAt: null,
+  nextPollAt: null,
+  consecutiveErrors: 0,
+  activeGames: 0
+};
+
+// A cycle counts as failed when the schedule couldn't be fetched or every live game failed
+function isFailedPoll(result) {
+  return !!result.error || (result.failedGames > 0 && result.failedGames === result.activeGames);
+}
+
+export function getNextPollDelay(result, consecutiveErrors, now = clock.now()) {
+  if (isFailedPoll(result)) {
+    return Math.min(config.POLL_INTERVAL * 2 ** consecutiveErrors, config.MAX_ERROR_BACKOFF);
+  }
+  if (result.activeGames > 0) {
+    return config.POLL_INTERVAL;
+  }
+  if (result.nextStartTime) {
+    const untilWake = result.nextStartTime - config.PRE_GAME_WAKE - now;
+    return Math.min(Math.max(untilWake, config.POLL_INTERVAL), config.IDLE_POLL_INTERVAL);
+  }
+  return config.IDLE_POLL_INTERVAL;
+}
+
+export function getSchedulerStatus() {
+  return { running, ...status };
+}
+
+export async function runScheduler() {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  while (running) {
+    status.lastPollAt = clock.now();
+    const result = await pollGames();
+
+    const failed = isFailedPoll(result);
+    status.consecutiveErrors = failed ? status.consecutiveErrors + 1 : 0;
+    status.activeGames = result.activeGames;
+    incrementCounter('polls_total', { result: failed ? 'error' : 'success' });
+    setGauge('active_games', result.activeGames);
+    if (!failed) {
+      status.lastSuccessfulPollAt = status.lastPollAt;
+      setGauge('last_successful_poll_timestamp_seconds', Math.floor(status.lastPollAt / 1000));
+    }
+
+    const nextDelay = getNextPollDelay(result, status.consecutiveErrors);
+    status.nextPollAt = clock.now() + nextDelay;
+    if (failed) {
+      logger.warn('NHL API errors, backing off', {
+        consecutiveErrors: status.consecutiveErrors,
+        delaySeconds: Math.round(nextDelay / 1000)
+      });
+    } else if (result.activeGames === 0) {
+      logger.info('No live games', { nextPollAt: formatEasternTime(new Date(status.nextPollAt)) });
+    }
+
+    await clock.delay(nextDelay);
+  }
+}
+
+export function stopScheduler() {
+  running = false;
+}
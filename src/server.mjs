@@ -0,0 +1,158 @@
+import http from 'http';
+import crypto from 'crypto';
+import * as clock from './clock.mjs';
+import { config } from './config.mjs';
+import { getSchedulerStatus } from './scheduler.mjs';
+import { getQueueStatus, pausePostQueue, resumePostQueue } from './post-queue.mjs';
+import { getSinks, getTrackedState, repostGoal, skipGoal } from './goal-bot.mjs';
+import { renderMetrics, setGauge } from './metrics.mjs';
+import { logger } from './logger.mjs';
+
+// HTTP endpoints:
+//   GET  /                          liveness text for the hosting platform
+//   GET  /healthz                   200 when polling is on schedule and a sink can post, else 503
+//   GET  /metrics                   Prometheus metrics
+//   GET  /state                     tracked games and goals as JSON
+//   POST /admin/pause               hold all posts in the queue
+//   POST /admin/resume              start posting again
+//   POST /admin/goals/<key>/repost  queue a goal's post again
+//   POST /admin/goals/<key>/skip    never post, correct or overturn a goal
+// Admin routes need "Authorization: Bearer <ADMIN_TOKEN>" and are disabled without ADMIN_TOKEN.
+
+const securityHeaders = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Content-Security-Policy': "default-src 'none'"
+};
+
+function send(res, status, body, contentType = 'application/json') {
+  res.writeHead(status, { ...securityHeaders, 'Content-Type': contentType });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+}
+
+function getSinkHealth(sink) {
+  return {
+    name: sink.name,
+    account: sink.account,
+    connected: sink.health.connected,
+    paused: sink.health.disabledUntil > clock.now(),
+    consecutiveFailures: sink.health.consecutiveFailures,
+    lastError: sink.health.lastError
+  };
+}
+
+export function getHealth(now = clock.now()) {
+  const scheduler = getSchedulerStatus();
+  const sinks = getSinks().map(getSinkHealth);
+
+  const problems = [];
+  if (!scheduler.running) {
+    problems.push('polling is not running');
+  } else if (scheduler.nextPollAt && now > scheduler.nextPollAt + config.HEALTH_GRACE) {
+    problems.push('poll cycle is overdue');
+  }
+  if (scheduler.lastPollAt && !scheduler.lastSuccessfulPollAt) {
+    problems.push('no poll has succeeded yet');
+  } else if (scheduler.consecutiveErrors >= config.HEALTH_MAX_POLL_ERRORS) {
+    problems.push(`${scheduler.consecutiveErrors} poll cycles failed in a row`);
+  }
+  if (!sinks.some(sink => sink.connected && !sink.paused)) {
+    problems.push('no sink is connected');
+  }
+
+  return {
+    status: problems.length === 0 ? 'ok' : 'unhealthy',
+    problems,
+    lastPollAt: scheduler.lastPollAt,
+    lastSuccessfulPollAt: scheduler.lastSuccessfulPollAt,
+    nextPollAt: scheduler.nextPollAt,
+    consecutiveErrors: scheduler.consecutiveErrors,
+    activeGames: scheduler.activeGames,
+    queue: getQueueStatus(),
+    sinks
+  };
+}
+
+function isAuthorized(req) {
+  if (!config.ADMIN_TOKEN) {
+    return false;
+  }
+  const expected = Buffer.from(`Bearer ${config.ADMIN_TOKEN}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function handleAdmin(req, res, path) {
+  if (req.method !== 'POST') {
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+  if (!isAuthorized(req)) {
+    return send(res, config.ADMIN_TOKEN ? 401 : 403, {
+      error: config.ADMIN_TOKEN ? 'Unauthorized' : 'Admin endpoints are disabled'
+    });
+  }
+
+  if (path === '/admin/pause') {
+    pausePostQueue();
+    return send(res, 200, { queue: getQueueStatus() });
+  }
+  if (path === '/admin/resume') {
+    resumePostQueue();
+    return send(res, 200, { queue: getQueueStatus() });
+  }
+
+  const match = path.match(/^\/admin\/goals\/([^/]+)\/(repost|skip)$/);
+  if (match) {
+    const goalKey = decodeURIComponent(match[1]);
+    const found = match[2] === 'repost' ? await repostGoal(goalKey) : await skipGoal(goalKey);
+    return found
+      ? send(res, 200, { goalKey, action: match[2] })
+      : send(res, 404, { error: `Unknown goal key ${goalKey}` });
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+async function handleRequest(req, res) {
+  const path = new URL(req.url, 'http://localhost').pathname;
+
+  if (path.startsWith('/admin/')) {
+    return handleAdmin(req, res, path);
+  }
+  if (req.method !== 'GET') {
+    return send(res, 405, { error: 'Method not allowed' });
+  }
+
+  switch (path) {
+    case '/':
+      return send(res, 200, 'NHL Goal Bot is running!', 'text/plain');
+    case '/healthz': {
+      const health = getHealth();
+      return send(res, health.status === 'ok' ? 200 : 503, health);
+    }
+    case '/metrics': {
+      const queue = getQueueStatus();
+      setGauge('post_queue_pending', queue.pending);
+      setGauge('dead_letters', queue.deadLetters);
+      return send(res, 200, renderMetrics(), 'text/plain; version=0.0.4');
+    }
+    case '/state':
+      return send(res, 200, { ...getTrackedState(), queue: getQueueStatus() });
+    default:
+      return send(res, 404, { error: 'Not found' });
+  }
+}
+
+export function startServer(port = config.PORT) {
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      logger.error('Error handling request', { method: req.method, url: req.url, error });
+      send(res, 500, { error: 'Internal error' });
+    });
+  });
+
+  server.listen(port, () => {
+    logger.info('NHL Goal Bot listening', { port });
+  });
+  return server;
+}
@@ -0,0 +1,162 @@
+import { Bot } from '@skyware/bot';
+import { linkFacet } from '../rich-text.mjs';
+import { logger } from '../logger.mjs';
+
+export function createBlueskySink({
+  name = 'bluesky',
+  identifier,
+  password,
+  passwordEnv = 'BLUESKY_PASSWORD',
+  service,
+  chat = false
+} = {}) {
+  if (!password) {
+    throw new Error(`${passwordEnv} environment variable is required for the ${name} sink`);
+  }
+
+  // DMs are only delivered when chat events are on, which needs an app password with DM access
+  const bot = new Bot({ ...(service ? { service } : {}), emitChatEvents: chat });
+  const handleDids = {};
+
+  async function login() {
+    await bot.login({ identifier, password });
+  }
+
+  // Mention facets need the account's DID; unresolvable handles are left as plain text
+  async function resolveFacets(facets) {
+    const resolved = [];
+    for (const facet of facets) {
+      const [feature] = facet.features;
+      if (feature.$type !== 'app.bsky.richtext.facet#mention' || feature.did) {
+        resolved.push(facet);
+        continue;
+      }
+      try {
+        handleDids[feature.handle] = handleDids[feature.handle] || await bot.resolveHandle(feature.handle);
+        resolved.push({ ...facet, features: [{ $type: feature.$type, did: handleDids[feature.handle] }] });
+      } catch (error) {
+        logger.warn('Unable to resolve handle, posting without the mention', { sink: name, handle: feature.handle, error });
+      }
+    }
+    return resolved;
+  }
+
+  // Image embeds can't carry a link, so the clip URL is kept in the text
+  function postText(text, media) {
+    return media?.type === 'image' ? `${text}\n${media.uri}` : text;
+  }
+
+  return {
+    name,
+    bot,
+    supportsThreads: true,
+
+    async connect() {
+      await login();
+      logger.info('Logged in to Bluesky', { sink: name, identifier });
+    },
+
+    async reconnect() {
+      logger.info('Renewing Bluesky connection', { sink: name });
+      await login();
+      logger.info('Renewed Bluesky connection', { sink: name });
+    },
+
+    async post({ text, facets = [], thread, replyTo, quoted, media }) {
+      const payload = { text, facets: await resolveFacets(facets) };
+      if (thread?.root) {
+        payload.replyRef = {
+          root: thread.root,
+          parent: replyTo || thread.parent || thread.root
+        };
+      }
+      if (quoted) {
+        payload.quoted = quoted;
+      }
+      if (media?.type === 'image') {
+        payload.text = postText(text, media);
+        payload.facets.push(linkFacet(payload.text, media.uri));
+        payload.images = [{ data: media.thumbUrl, alt: media.alt }];
+      } else if (media) {
+        payload.external = {
+          uri: media.uri,
+          title: media.title,
+          description: media.description,
+          ...(media.thumbUrl ? { thumb: { data: media.thumbUrl, alt: media.alt } } : {})
+        };
+      }
+
+      logger.info('Making Bluesky API call', {
+        sink: name,
+        replyTo: payload.replyRef?.parent.uri || null,
+        quoted: quoted?.uri || null
+      });
+      const postResponse = await bot.post(payload);
+      if (!postResponse?.uri) {
+        throw new Error('Post failed - no URI in response');
+      }
+      return { uri: postResponse.uri, cid: postResponse.cid };
+    },
+
+    // A post that timed out may still have been created, so look for it among the latest ones
+    async findPost({ text, media }, since) {
+      const { posts } = await bot.getUserPosts(bot.profile.did, { limit: 10 });
+      const post = posts.find(post => post.text === postText(text, media) && post.createdAt.getTime() >= since);
+      return post ? { uri: post.uri, cid: post.cid } : null;
+    },
+
+    async deletePost(ref) {
+      await bot.deletePost(ref.uri);
+    },
+
+    // Starts a DM conversation with the account if there isn't one yet
+    async notify(did, text) {
+      const conversation = await bot.getConversationForMembers([did]);
+      const sent = await conversation.sendMessage({ text });
+      return { id: sent.id };
+    },
+
+    // DMs are direct; mentions and replies to the bot's posts are passed on as public messages
+    listen(onMessage) {
+      const isOwn = did => did === bot.profile?.did;
+      const fromPost = post => {
+        if (isOwn(post.author.did)) {
+          return;
+        }
+        onMessage({
+          id: post.uri,
+          userId: post.author.did,
+          author: post.author.handle,
+          text: post.text,
+          direct: false,
+          reply: async text => {
+            const ref = await post.reply({ text });
+            return { uri: ref.uri, cid: ref.cid };
+          }
+        });
+      };
+
+      bot.on('mention', fromPost);
+      bot.on('reply', fromPost);
+      bot.on('message', message => {
+        if (isOwn(message.senderDid)) {
+          return;
+        }
+        onMessage({
+          id: message.id,
+          userId: message.senderDid,
+          author: message.senderDid,
+          text: message.text,
+          direct: true,
+          reply: async text => {
+            const sent = await bot.sendMessage({ conversationId: message.conversationId, text });
+            return { id: sent.id };
+          }
+        });
+      });
+      bot.on('error', error => {
+        logger.error('Bluesky event error', { sink: name, error });
+      });
+    }
+  };
+}
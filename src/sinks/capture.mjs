@@ -0,0 +1,35 @@
+import * as clock from '../clock.mjs';
+
+// Records posts in memory instead of publishing them, so replays can inspect what would have been posted
+export function createCaptureSink({ name = 'capture' } = {}) {
+  const posts = [];
+
+  return {
+    name,
+    supportsThreads: true,
+    posts,
+
+    async post({ text, facets, thread, replyTo, quoted, media }) {
+      const id = `${name}-${posts.length + 1}`;
+      const parent = replyTo || thread?.parent || thread?.root;
+      posts.push({
+        id,
+        time: clock.now(),
+        text,
+        replyTo: parent?.id || null,
+        quoted: quoted?.id || null,
+        media: media || null,
+        facets: facets || [],
+        deleted: false
+      });
+      return { id };
+    },
+
+    async deletePost(ref) {
+      const post = posts.find(p => p.id === ref.id);
+      if (post) {
+        post.deleted = true;
+      }
+    }
+  };
+}
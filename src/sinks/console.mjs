@@ -0,0 +1,21 @@
+// Dry-run sink: prints posts to stdout instead of publishing them
+export function createConsoleSink({ name = 'console' } = {}) {
+  let postCount = 0;
+
+  return {
+    name,
+    supportsThreads: true,
+
+    async post({ text, thread, replyTo, quoted, media }) {
+      postCount++;
+      const id = `${name}-${postCount}`;
+      const parent = replyTo || thread?.parent || thread?.root;
+      console.log(`[${name}] post ${id}${parent ? ` (reply to ${parent.id})` : ''}${quoted ? ` (quoting ${quoted.id})` : ''}:\n${text}${media ? `\n[${media.type}: ${media.uri}]` : ''}`);
+      return { id };
+    },
+
+    async deletePost(ref) {
+      console.log(`[${name}] delete ${ref.id}`);
+    }
+  };
+}
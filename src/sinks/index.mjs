@@ -0,0 +1,317 @@
+import { createBlueskySink } from './bluesky.mjs';
+import { createMastodonSink } from './mastodon.mjs';
+import { createWebhookSink } from './webhook.mjs';
+import { createConsoleSink } from './console.mjs';
+import { createCaptureSink } from './capture.mjs';
+import * as clock from '../clock.mjs';
+import { config } from '../config.mjs';
+import { incrementCounter } from '../metrics.mjs';
+import { logger } from '../logger.mjs';
+
+// A sink publishes posts to one destination. Every sink is an object with:
+//   name             unique name, used to key post references and threads in state
+//   supportsThreads  whether replies and quotes are meaningful for this sink
+//   connect()        optional, called at startup (login, credential check)
+//   reconnect()      optional, called before retrying a failed post
+//   post({ text, facets, thread, replyTo, quoted, media }) -> reference to the new post
+//   deletePost(ref)  optional
+//   listen(onMessage) optional, passes messages sent to the account to the command handler
+//   notify(userId, text) optional, sends a direct message to a user who follows a team
+//   idempotent       optional, true if sending the same post twice can't publish it twice
+//   findPost(request, since) optional, looks for a post made for request at or after since
+//                    and returns its reference, or null if it didn't go out
+// thread, replyTo and quoted are references previously returned by the same sink.
+// media is an optional { type: 'link' | 'image', uri, title, description, thumbUrl, alt }.
+// facets are Bluesky rich-text facets over text; mention features carry a handle
+// rather than a DID, and sinks without rich text ignore them.
+
+const SINK_RETRIES = 2;
+const SINK_RETRY_DELAY = 5000;
+const SINK_FAILURE_THRESHOLD = 3;
+const SINK_COOLDOWN = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// The sinks by name, so the post queue can hold a paused sink's posts
+const sinksByName = new Map();
+
+// Each factory takes the sink's options plus the environment. Secrets are never
+// stored in options: they name the environment variable to read instead.
+const sinkFactories = {
+  bluesky: (options, env) => createBlueskySink({
+    name: options.name,
+    identifier: options.identifier || config.BLUESKY_IDENTIFIER,
+    service: options.service || config.BLUESKY_SERVICE,
+    chat: config.COMMANDS,
+    password: env[options.passwordEnv || 'BLUESKY_PASSWORD'],
+    passwordEnv: options.passwordEnv || 'BLUESKY_PASSWORD'
+  }),
+  mastodon: (options, env) => createMastodonSink({
+    name: options.name,
+    baseUrl: options.baseUrl || env.MASTODON_BASE_URL,
+    accessToken: env[options.accessTokenEnv || 'MASTODON_ACCESS_TOKEN'],
+    visibility: options.visibility || env.MASTODON_VISIBILITY
+  }),
+  discord: (options, env) => createWebhookSink({
+    name: options.name,
+    url: env[options.urlEnv || 'DISCORD_WEBHOOK_URL'],
+    format: 'discord'
+  }),
+  slack: (options, env) => createWebhookSink({
+    name: options.name,
+    url: env[options.urlEnv || 'SLACK_WEBHOOK_URL'],
+    format: 'slack'
+  }),
+  console: options => createConsoleSink({ name: options.name }),
+  capture: options => createCaptureSink({ name: options.name })
+};
+
+// specs are sink type names ('bluesky') or option objects ({ type: 'bluesky', name, identifier, ... })
+export function createSinks(specs, env = process.env) {
+  if (specs.length === 0) {
+    throw new Error('At least one output sink must be enabled');
+  }
+
+  return specs.map(spec => {
+    const options = typeof spec === 'string' ? { type: spec } : { ...spec };
+    const factory = sinkFactories[options.type];
+    if (!factory) {
+      throw new Error(`Unknown sink "${options.type}", expected one of: ${Object.keys(sinkFactories).join(', ')}`);
+    }
+    options.name = options.name || options.type;
+    const sink = withHealth(withTimeouts(factory(options, env)));
+    sinksByName.set(sink.name, sink);
+    return sink;
+  });
+}
+
+// When a sink paused after repeated failures takes posts again; 0 if it isn't paused
+export function getSinkPausedUntil(sinkName) {
+  return sinksByName.get(sinkName)?.health.disabledUntil || 0;
+}
+
+// A sink request that hangs would hold up the sink's queue, so each one fails after
+// SINK_TIMEOUT. A post or DM that timed out may still have gone out, so unless the sink
+// is idempotent its error is marked uncertain and it isn't blindly sent again.
+const TIMED_METHODS = ['connect', 'reconnect', 'post', 'deletePost', 'notify'];
+const PUBLISHING_METHODS = ['post', 'notify'];
+
+function withTimeouts(sink) {
+  for (const method of TIMED_METHODS.filter(method => sink[method])) {
+    const call = sink[method];
+    const timedOut = error => {
+      error.uncertain = PUBLISHING_METHODS.includes(method) && !sink.idempotent;
+      return error;
+    };
+    sink[method] = (...args) => {
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(timedOut(new Error(`${sink.name} ${method} timed out after ${config.SINK_TIMEOUT}ms`))),
+          config.SINK_TIMEOUT
+        );
+      });
+      // Sinks that abort their own requests at SINK_TIMEOUT can get there first
+      const result = call.apply(sink, args).catch(error => {
+        throw ['AbortError', 'TimeoutError'].includes(error.name) ? timedOut(error) : error;
+      });
+      return Promise.race([result, timeout]).finally(() => clearTimeout(timer));
+    };
+  }
+  return sink;
+}
+
+function withHealth(sink) {
+  sink.health = {
+    connected: !sink.connect,
+    consecutiveFailures: 0,
+    disabledUntil: 0,
+    lastError: null
+  };
+  return sink;
+}
+
+function recordFailure(sink, error) {
+  sink.health.consecutiveFailures++;
+  sink.health.lastError = error.message;
+  if (sink.health.consecutiveFailures >= SINK_FAILURE_THRESHOLD) {
+    sink.health.disabledUntil = clock.now() + SINK_COOLDOWN;
+    logger.error('Sink pausing after repeated failures', {
+      sink: sink.name,
+      consecutiveFailures: sink.health.consecutiveFailures,
+      pauseSeconds: SINK_COOLDOWN / 1000
+    });
+  }
+}
+
+function recordSuccess(sink) {
+  sink.health.consecutiveFailures = 0;
+  sink.health.disabledUntil = 0;
+  sink.health.lastError = null;
+}
+
+// Connects every sink, retrying each one independently.
+// Returns the sinks that connected; the others will retry on their next post.
+export async function connectSinks(sinks, maxRetries = 5, delayBetweenRetries = 30000) {
+  const results = await Promise.all(sinks.map(async sink => {
+    if (!sink.connect) {
+      return true;
+    }
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        logger.info('Connecting sink', { sink: sink.name, attempt, maxRetries });
+        await sink.connect();
+        sink.health.connected = true;
+        return true;
+      } catch (error) {
+        const isUpstreamError =
+          error.message.includes('Upstream') ||
+          error.message.includes('Failed to fetch') ||
+          (error.status === 502);
+
+        logger.error('Sink connect attempt failed', {
+          sink: sink.name,
+          attempt,
+          error,
+          apiError: error.error,
+          isUpstreamError
+        });
+
+        if (attempt < maxRetries) {
+          const nextDelay = isUpstreamError ? delayBetweenRetries * 2 : delayBetweenRetries;
+          logger.info('Waiting before retrying sink connect', { sink: sink.name, delaySeconds: nextDelay / 1000 });
+          await clock.delay(nextDelay);
+        }
+      }
+    }
+
+    sink.health.lastError = 'Failed to connect';
+    return false;
+  }));
+
+  return sinks.filter((sink, i) => results[i]);
+}
+
+// After a timeout, a sink that can look up its own posts is checked before the retry.
+// Returns the reference to the post if it went out after all, or null if it didn't.
+// Throws the timeout error if there's no way to tell.
+async function findTimedOutPost(sink, request, since, error) {
+  if (!sink.findPost) {
+    throw error;
+  }
+  try {
+    return await sink.findPost(request, since);
+  } catch (lookupError) {
+    logger.warn('Unable to check whether a timed out post went out', { sink: sink.name, error: lookupError });
+    throw error;
+  }
+}
+
+async function postWithRetry(sink, request) {
+  let lastError = null;
+  const since = clock.now();
+
+  for (let attempt = 0; attempt <= SINK_RETRIES; attempt++) {
+    try {
+      if (attempt > 0 || !sink.health.connected) {
+        if (attempt > 0) {
+          incrementCounter('post_retries_total', { layer: 'sink' });
+          await clock.delay(SINK_RETRY_DELAY * attempt);
+        }
+        if (sink.reconnect || sink.connect) {
+          await (sink.reconnect || sink.connect)();
+          sink.health.connected = true;
+        }
+      }
+
+      const ref = await sink.post(request);
+      recordSuccess(sink);
+      incrementCounter('posts_total', { sink: sink.name, result: 'success' });
+      return ref;
+    } catch (error) {
+      lastError = error;
+      logger.warn('Sink post attempt failed', {
+        sink: sink.name,
+        attempt: attempt + 1,
+        maxAttempts: SINK_RETRIES + 1,
+        error
+      });
+      if (error.uncertain) {
+        let ref;
+        try {
+          ref = await findTimedOutPost(sink, request, since, error);
+        } catch (uncertainError) {
+          recordFailure(sink, uncertainError);
+          incrementCounter('posts_total', { sink: sink.name, result: 'failure' });
+          throw uncertainError;
+        }
+        if (ref) {
+          logger.info('Timed out post went out after all', { sink: sink.name });
+          recordSuccess(sink);
+          incrementCounter('posts_total', { sink: sink.name, result: 'success' });
+          return ref;
+        }
+      }
+    }
+  }
+
+  recordFailure(sink, lastError);
+  incrementCounter('posts_total', { sink: sink.name, result: 'failure' });
+  return null;
+}
+
+// Publishes to every sink in parallel so a slow or failing sink can't hold up the others.
+// thread, replyTo and quoted are maps of sink name -> reference from that sink.
+// Returns a map of sink name -> reference for every sink that accepted the post.
+// If none did and a sink timed out without a way to tell whether its post went out,
+// that sink's error is thrown instead, so the post isn't sent again.
+export async function publish(sinks, { text, facets = [], thread = {}, replyTo = {}, quoted = {}, media }) {
+  const posts = {};
+  let uncertainError = null;
+
+  await Promise.all(sinks.map(async sink => {
+    if (sink.health.disabledUntil > clock.now()) {
+      logger.info('Skipping post, sink paused after repeated failures', { sink: sink.name });
+      return;
+    }
+
+    const request = { text, facets, media };
+    if (sink.supportsThreads) {
+      request.thread = thread[sink.name];
+      request.replyTo = replyTo[sink.name];
+      request.quoted = quoted[sink.name];
+    }
+
+    try {
+      const ref = await postWithRetry(sink, request);
+      if (ref) {
+        posts[sink.name] = ref;
+      }
+    } catch (error) {
+      uncertainError = error;
+    }
+  }));
+
+  if (uncertainError && Object.keys(posts).length === 0) {
+    throw uncertainError;
+  }
+  return posts;
+}
+
+export async function deleteFromSinks(sinks, posts) {
+  const deleted = [];
+
+  await Promise.all(sinks.map(async sink => {
+    const ref = posts[sink.name];
+    if (!ref || !sink.deletePost) {
+      return;
+    }
+    try {
+      await sink.deletePost(ref);
+      deleted.push(sink.name);
+    } catch (error) {
+      logger.error('Failed to delete post', { sink: sink.name, error });
+    }
+  }));
+
+  return deleted;
+}
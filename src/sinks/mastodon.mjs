@@ -0,0 +1,79 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import { config } from '../config.mjs';
+import { logger } from '../logger.mjs';
+
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+
+// Works with any server implementing the Mastodon statuses API (Mastodon, GoToSocial, Akkoma, ...)
+export function createMastodonSink({
+  name = 'mastodon',
+  baseUrl,
+  accessToken,
+  visibility = 'public'
+} = {}) {
+  if (!baseUrl || !accessToken) {
+    throw new Error(`${name} sink requires a base URL (MASTODON_BASE_URL) and access token (MASTODON_ACCESS_TOKEN)`);
+  }
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new Error(`${name} sink has unknown visibility "${visibility}", expected one of: ${VISIBILITIES.join(', ')}`);
+  }
+
+  const apiUrl = baseUrl.replace(/\/+$/, '');
+
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(`${apiUrl}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(config.SINK_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return {
+    name,
+    supportsThreads: true,
+    // Posts carry an idempotency key, so one sent again after a timeout isn't posted twice
+    idempotent: true,
+
+    async connect() {
+      const account = await request('GET', '/api/v1/accounts/verify_credentials');
+      logger.info('Authenticated with Mastodon', { sink: name, account: account.acct });
+    },
+
+    async post({ text, thread, replyTo, quoted, media }) {
+      // Mastodon has no quote posts, so link the quoted status instead.
+      // Media links are left to the server's own link previews.
+      let status = media ? `${text}\n${media.uri}` : text;
+      if (quoted?.url) {
+        status = `${status}\n\n${quoted.url}`;
+      }
+      const parent = replyTo || thread?.parent || thread?.root;
+
+      // The idempotency key stops a retried request from creating a second status
+      const idempotencyKey = crypto.createHash('sha256')
+        .update(`${parent?.id || ''}:${status}`)
+        .digest('hex');
+
+      const result = await request('POST', '/api/v1/statuses', {
+        status,
+        visibility,
+        in_reply_to_id: parent?.id
+      }, { 'Idempotency-Key': idempotencyKey });
+
+      return { id: result.id, url: result.url };
+    },
+
+    async deletePost(ref) {
+      await request('DELETE', `/api/v1/statuses/${ref.id}`);
+    }
+  };
+}
@@ -0,0 +1,56 @@
+import fetch from 'node-fetch';
+import { config } from '../config.mjs';
+
+// Discord and Slack incoming webhooks. Neither has threads or quotes, so every post is standalone.
+export function createWebhookSink({
+  name = 'webhook',
+  url,
+  format = 'discord'
+} = {}) {
+  if (!url) {
+    throw new Error(`${name} sink requires a webhook URL`);
+  }
+  if (!['discord', 'slack'].includes(format)) {
+    throw new Error(`${name} sink has unknown webhook format: ${format}`);
+  }
+
+  return {
+    name,
+    supportsThreads: false,
+
+    async post({ text: postText, media }) {
+      const text = media ? `${postText}\n${media.uri}` : postText;
+      const isDiscord = format === 'discord';
+
+      // Discord only returns the created message when asked to wait for it
+      const response = await fetch(isDiscord ? `${url}${url.includes('?') ? '&' : '?'}wait=true` : url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(isDiscord ? { content: text } : { text }),
+        signal: AbortSignal.timeout(config.SINK_TIMEOUT)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      if (isDiscord) {
+        const message = await response.json();
+        return { id: message.id };
+      }
+      return { id: `${Date.now()}` };
+    },
+
+    async deletePost(ref) {
+      if (format !== 'discord') {
+        return;
+      }
+      const response = await fetch(`${url.split('?')[0]}/messages/${ref.id}`, {
+        method: 'DELETE',
+        signal: AbortSignal.timeout(config.SINK_TIMEOUT)
+      });
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+    }
+  };
+}
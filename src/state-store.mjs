@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import path from 'path';
+import * as clock from './clock.mjs';
+import { config } from './config.mjs';
+import { logger } from './logger.mjs';
+
+// Durable goal posting state, written to a JSON file so restarts don't repost goals
+const DEFAULT_STATE_FILE = './data/state.json';
+const STATE_VERSION = 1;
+
+let stateFile = DEFAULT_STATE_FILE;
+let state = createEmptyState();
+let writeQueue = Promise.resolve();
+
+function createEmptyState() {
+  return {
+    version: STATE_VERSION,
+    lastReset: clock.now(),
+    goals: {},
+    games: {},
+    deadLetters: [],
+    subscriptions: {},
+    recaps: {}
+  };
+}
+
+export async function loadState(file = config.STATE_FILE || DEFAULT_STATE_FILE) {
+  stateFile = file;
+  await fs.mkdir(path.dirname(stateFile), { recursive: true });
+
+  try {
+    const raw = await fs.readFile(stateFile, 'utf8');
+    const saved = JSON.parse(raw);
+    state = {
+      ...createEmptyState(),
+      ...saved,
+      goals: saved.goals || {},
+      games: saved.games || {},
+      deadLetters: saved.deadLetters || [],
+      subscriptions: saved.subscriptions || {},
+      recaps: saved.recaps || {}
+    };
+    logger.info('Loaded state', {
+      file: stateFile,
+      goals: Object.keys(state.goals).length,
+      games: Object.keys(state.games).length,
+      lastReset: new Date(state.lastReset).toISOString()
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Unable to read state file, starting fresh', { file: stateFile, error });
+    }
+    state = createEmptyState();
+  }
+
+  return state;
+}
+
+export function getState() {
+  return state;
+}
+
+// Writes go to a temp file and are renamed into place so a crash never leaves a half-written file.
+// Saves are chained so concurrent callers can't interleave their writes.
+export function saveState() {
+  writeQueue = writeQueue
+    .then(async () => {
+      const tmpFile = `${stateFile}.${process.pid}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(state, null, 2));
+      await fs.rename(tmpFile, stateFile);
+    })
+    .catch(error => {
+      logger.error('Failed to save state', { file: stateFile, error });
+    });
+  return writeQueue;
+}
+
+// Drops the games that fail shouldKeepGame(gameId, timestamp), with their goals,
+// and records the reset time. timestamp is the entry's last activity, for entries saved
+// before games were dated.
+export function pruneState(shouldKeepGame, now = clock.now()) {
+  const removed = [];
+  for (const [goalKey, entry] of Object.entries(state.goals)) {
+    if (!shouldKeepGame(entry.gameId, entry.timestamp)) {
+      delete state.goals[goalKey];
+      removed.push(goalKey);
+    }
+  }
+  for (const [gameId, thread] of Object.entries(state.games)) {
+    if (!shouldKeepGame(gameId, thread.timestamp)) {
+      delete state.games[gameId];
+      removed.push(gameId);
+    }
+  }
+  state.lastReset = now;
+  saveState();
+  return removed;
+}
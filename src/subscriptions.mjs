@@ -0,0 +1,160 @@
+import * as clock from './clock.mjs';
+import { config } from './config.mjs';
+import { getState, saveState } from './state-store.mjs';
+import { enqueuePost, PRIORITY } from './post-queue.mjs';
+import { getGamecenterUrl } from './rich-text.mjs';
+import { countGraphemes } from './templates.mjs';
+import { incrementCounter } from './metrics.mjs';
+import { ordinal } from './utils.mjs';
+import { logger, withLogContext } from './logger.mjs';
+
+// Users follow teams by sending the bot "follow TOR", and get a DM when a goal in one
+// of those teams' games is posted. Followers are kept in state per sink, since a user
+// can only be messaged from the account they asked:
+//   subscriptions: { bluesky: { 'did:plc:...': { handle, teams: ['TOR'], since } } }
+// Goals posted within NOTIFY_BATCH_WINDOW of a user's first waiting goal are sent in
+// one DM, so a flurry of goals doesn't become a flurry of messages.
+
+const MAX_DM_LENGTH = 1000;
+const NOTIFY_TICK = 5000;
+
+let notifySinks = {};
+let batches = new Map();
+let running = false;
+
+function getFollowers(sinkName) {
+  const subscriptions = getState().subscriptions;
+  subscriptions[sinkName] = subscriptions[sinkName] || {};
+  return subscriptions[sinkName];
+}
+
+export function canNotify(sinkName) {
+  return Object.hasOwn(notifySinks, sinkName);
+}
+
+export function getFollowedTeams(sinkName, userId) {
+  return getState().subscriptions[sinkName]?.[userId]?.teams || [];
+}
+
+// Returns every team the user follows afterwards
+export async function followTeams(sinkName, userId, handle, teams) {
+  const followers = getFollowers(sinkName);
+  const follower = followers[userId] || { teams: [], since: clock.now() };
+  follower.handle = handle;
+  follower.teams = [...new Set([...follower.teams, ...teams])].sort();
+  followers[userId] = follower;
+  await saveState();
+  logger.info('User followed teams', { sink: sinkName, user: handle, teams: follower.teams });
+  return follower.teams;
+}
+
+// Without teams every follow is dropped. Returns the teams still followed.
+export async function unfollowTeams(sinkName, userId, teams = null) {
+  const followers = getFollowers(sinkName);
+  const follower = followers[userId];
+  if (!follower) {
+    return [];
+  }
+  follower.teams = teams ? follower.teams.filter(team => !teams.includes(team)) : [];
+  if (follower.teams.length === 0) {
+    delete followers[userId];
+    batches.delete(`${sinkName} ${userId}`);
+  }
+  await saveState();
+  logger.info('User unfollowed teams', { sink: sinkName, user: follower.handle, teams: follower.teams });
+  return follower.teams;
+}
+
+// 'TOR goal: Auston Matthews, 2nd 12:34 (TOR 2 - 1 MTL)' and the gamecenter link
+function formatGoalNotice(gameId, goal, { away, home }) {
+  const period = typeof goal.period === 'number' ? ordinal(goal.period) : goal.period;
+  return [
+    `${goal.team} goal: ${goal.scorer}, ${period} ${goal.time} (${away} ${goal.score} ${home})`,
+    getGamecenterUrl(gameId)
+  ].join('\n');
+}
+
+// Called once a goal has been posted; followers of either team get it in their next batch
+export function queueGoalNotifications(gameId, goal, teams) {
+  const gameTeams = [teams.away, teams.home].filter(Boolean);
+  const notice = { teams: gameTeams, text: formatGoalNotice(gameId, goal, teams) };
+
+  for (const sinkName of Object.keys(notifySinks)) {
+    for (const [userId, follower] of Object.entries(getFollowers(sinkName))) {
+      if (!follower.teams.some(team => gameTeams.includes(team))) {
+        continue;
+      }
+      const batchKey = `${sinkName} ${userId}`;
+      const batch = batches.get(batchKey) || { sinkName, userId, firstAt: clock.now(), notices: [] };
+      batch.notices.push(notice);
+      batches.set(batchKey, batch);
+    }
+  }
+}
+
+// Newest goals are kept when they don't all fit in one DM
+function formatNotification(notices, teams) {
+  const footer = `Send "unfollow ${teams[0]}" or "stop" to turn these off.`;
+  const kept = [];
+  for (const notice of [...notices].reverse()) {
+    const left = notices.length - kept.length - 1;
+    const candidate = [notice.text, ...kept, ...(left > 0 ? [`…and ${left} more`] : []), footer];
+    if (kept.length > 0 && countGraphemes(candidate.join('\n\n')) > MAX_DM_LENGTH) {
+      break;
+    }
+    kept.unshift(notice.text);
+  }
+  const left = notices.length - kept.length;
+  return [...kept, ...(left > 0 ? [`…and ${left} more`] : []), footer].join('\n\n');
+}
+
+// Queues a DM for every batch whose window has passed, leaving out teams unfollowed meanwhile
+export function flushNotifications(now = clock.now()) {
+  for (const [batchKey, batch] of batches) {
+    if (now - batch.firstAt < config.NOTIFY_BATCH_WINDOW) {
+      continue;
+    }
+    batches.delete(batchKey);
+
+    const teams = getFollowedTeams(batch.sinkName, batch.userId);
+    const notices = batch.notices.filter(notice => notice.teams.some(team => teams.includes(team)));
+    const sink = notifySinks[batch.sinkName];
+    if (notices.length === 0 || !sink) {
+      continue;
+    }
+
+    const handle = getFollowers(batch.sinkName)[batch.userId]?.handle;
+    const text = formatNotification(notices, teams);
+    withLogContext({ notifyUser: handle }, () => enqueuePost({
+      key: `notify-${batch.sinkName}-${batch.userId}-${batch.firstAt}`,
+      sink: batch.sinkName,
+      priority: PRIORITY.LOW,
+      limited: false,
+      // Descriptions end up in the dead letters on /state, so the follower isn't named
+      description: `goal DM on ${batch.sinkName}`,
+      send: async () => (await sink.notify(batch.userId, text)) || null,
+      onSent: () => incrementCounter('notifications_total', { result: 'sent' }),
+      onDeadLetter: () => incrementCounter('notifications_total', { result: 'failed' })
+    }));
+  }
+}
+
+// Sinks without notify() can't take followers
+export function startNotifications(sinks) {
+  notifySinks = Object.fromEntries(sinks.filter(sink => sink.notify).map(sink => [sink.name, sink]));
+  if (running) {
+    return;
+  }
+  running = true;
+  (async () => {
+    while (running) {
+      flushNotifications();
+      await clock.delay(NOTIFY_TICK);
+    }
+  })();
+  logger.info('Sending goal notifications to followers', { sinks: Object.keys(notifySinks) });
+}
+
+export function stopNotifications() {
+  running = false;
+}
@@ -0,0 +1,485 @@
+import fs from 'fs';
+import { config } from './config.mjs';
+import { ordinal } from './utils.mjs';
+import { logger } from './logger.mjs';
+
+// Post text comes from templates with {placeholder} fields. A template line whose
+// placeholders are all empty is dropped, so optional details (season totals,
+// assists, shots) simply disappear when they aren't known.
+//
+// Every locale has a default template per post type. TEMPLATES_FILE can point to
+// a JSON object overriding any of them for the active LOCALE, e.g.
+//   { "goal": ["🚨 {team} GOAL", "{scorer}", "Assists: {assists}", "{time} - {period} | {score}"] }
+// Templates may be a string with \n line breaks or an array of lines.
+
+const templates = {
+  en: {
+    goal: [
+      'GOAL! 🚨',
+      '{away} vs. {home}',
+      '{scorer} ({team}) is the scorer!',
+      '{seasonGoals} goal of the season',
+      '{details}',
+      '{callouts}',
+      'Assists: {assists}',
+      'Time: {time} - {period}',
+      'Score: {score}'
+    ],
+    correction: [
+      'CORRECTION:',
+      '{away} vs. {home}',
+      '{changes}',
+      'Time: {time} - {period}',
+      'Score: {score}'
+    ],
+    overturn: [
+      'Goal overturned ❌',
+      '{away} vs. {home}',
+      '{scorer} ({team}) no longer has the goal at {time} - {period}',
+      'Score: {score}'
+    ],
+    highlight: [
+      'Highlight 🎥',
+      '{scorer} ({team}) - {away} vs. {home}',
+      'Time: {time} - {period}'
+    ],
+    start: [
+      'Puck drop! 🏒',
+      '{away} vs. {home}',
+      'Follow this thread for every goal.'
+    ],
+    periodEnd: [
+      '{periodEnd}',
+      '{away} vs. {home}',
+      'Score: {awayScore} - {homeScore}',
+      'Shots: {awayShots} - {homeShots}'
+    ],
+    shootout: [
+      'Shootout 🥅',
+      '{away} vs. {home}',
+      '{rounds}',
+      '{result}'
+    ],
+    final: [
+      '{finalLabel}',
+      '{away} {awayScore}, {home} {homeScore}',
+      'Shots: {awayShots} - {homeShots}',
+      'GWG: {gwgScorer} ({gwgTeam})',
+      '{threeStars}'
+    ],
+    gameWinner: [
+      'Game winner! 🏆',
+      '{away} vs. {home}',
+      '{scorer} ({team}) scored the game-winning goal',
+      'Time: {time} - {period}',
+      '{finalLabel}: {away} {awayScore}, {home} {homeScore}'
+    ],
+    recapScores: [
+      'Final scores, {date} 🏒',
+      '{scores}'
+    ],
+    recapPerformances: [
+      'Standout performances ⭐',
+      '{performances}'
+    ],
+    recapSlate: [
+      'Next up, {date} 📅',
+      '{games}'
+    ]
+  },
+  fr: {
+    goal: [
+      'BUT! 🚨',
+      '{away} c. {home}',
+      '{scorer} ({team}) marque!',
+      '{seasonGoals} but de la saison',
+      '{details}',
+      '{callouts}',
+      'Aides : {assists}',
+      'Temps : {time} - {period}',
+      'Pointage : {score}'
+    ],
+    correction: [
+      'CORRECTION :',
+      '{away} c. {home}',
+      '{changes}',
+      'Temps : {time} - {period}',
+      'Pointage : {score}'
+    ],
+    overturn: [
+      'But refusé ❌',
+      '{away} c. {home}',
+      '{scorer} ({team}) perd le but à {time} - {period}',
+      'Pointage : {score}'
+    ],
+    highlight: [
+      'Faits saillants 🎥',
+      '{scorer} ({team}) - {away} c. {home}',
+      'Temps : {time} - {period}'
+    ],
+    start: [
+      'Mise au jeu! 🏒',
+      '{away} c. {home}',
+      'Suivez ce fil pour chaque but.'
+    ],
+    periodEnd: [
+      '{periodEnd}',
+      '{away} c. {home}',
+      'Pointage : {awayScore} - {homeScore}',
+      'Tirs : {awayShots} - {homeShots}'
+    ],
+    shootout: [
+      'Tirs de barrage 🥅',
+      '{away} c. {home}',
+      '{rounds}',
+      '{result}'
+    ],
+    final: [
+      '{finalLabel}',
+      '{away} {awayScore}, {home} {homeScore}',
+      'Tirs : {awayShots} - {homeShots}',
+      'But gagnant : {gwgScorer} ({gwgTeam})',
+      '{threeStars}'
+    ],
+    gameWinner: [
+      'But gagnant! 🏆',
+      '{away} c. {home}',
+      '{scorer} ({team}) a marqué le but gagnant',
+      'Temps : {time} - {period}',
+      '{finalLabel} : {away} {awayScore}, {home} {homeScore}'
+    ],
+    recapScores: [
+      'Résultats, {date} 🏒',
+      '{scores}'
+    ],
+    recapPerformances: [
+      'Performances à retenir ⭐',
+      '{performances}'
+    ],
+    recapSlate: [
+      'À venir, {date} 📅',
+      '{games}'
+    ]
+  }
+};
+
+// Words and phrases used to build placeholder values
+const labels = {
+  en: {
+    ordinal,
+    strength: {
+      PPG: 'Power-play goal',
+      SHG: 'Shorthanded goal',
+      EN: 'Empty-net goal',
+      PS: 'Penalty shot'
+    },
+    shotType: {
+      wrist: 'Wrist shot',
+      snap: 'Snap shot',
+      slap: 'Slap shot',
+      backhand: 'Backhand',
+      'tip-in': 'Tip-in',
+      deflected: 'Deflection',
+      'wrap-around': 'Wrap-around',
+      'between-legs': 'Between the legs',
+      poke: 'Poke',
+      bat: 'Batted',
+      cradle: 'Michigan'
+    },
+    hatTrick: '🎩 Hat trick!',
+    goalsTonight: count => `${count} goals tonight!`,
+    overtimeWinner: 'Game winner in overtime!',
+    milestone: ({ type, stat, count, team }, playoffs) => {
+      const kind = playoffs ? `playoff ${stat}` : stat;
+      if (type === 'first-goal') return playoffs ? '🎉 First NHL playoff goal!' : '🎉 First NHL goal!';
+      if (type === 'franchise') return `🏆 ${ordinal(count)} ${kind} with ${team}!`;
+      return `🏆 ${ordinal(count)} career ${kind}!`;
+    },
+    correction: {
+      scorer: 'Scorer',
+      assists: 'Assists',
+      period: 'Period',
+      score: 'Score'
+    },
+    none: 'none',
+    unknownPlayer: 'Unknown Player',
+    periodEnd: ({ periodType, number }) => {
+      if (periodType === 'OT') {
+        return number > 4 ? `End of ${number - 3}OT` : 'End of overtime';
+      }
+      return `End of the ${ordinal(number)} period`;
+    },
+    finalLabel: (periodType, overtimes) => {
+      if (periodType === 'SO') return 'FINAL/SO';
+      if (periodType === 'OT') return overtimes > 1 ? `FINAL/${overtimes}OT` : 'FINAL/OT';
+      return 'FINAL';
+    },
+    threeStars: 'Three stars:',
+    shootoutRound: round => `Round ${round}`,
+    shootoutWinner: (team, winnerGoals, loserGoals) => `${team} wins the shootout ${winnerGoals}-${loserGoals}`,
+    shootoutTied: (away, home) => `Shootout: ${away}-${home}`,
+    overtimeMarker: (periodType, overtimes) => {
+      if (periodType === 'SO') return 'SO';
+      if (periodType === 'OT') return overtimes > 1 ? `${overtimes}OT` : 'OT';
+      return null;
+    },
+    recapDate: date => date.toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' }),
+    playerPoints: (goals, assists) => `${goals}G ${assists}A`,
+    shutout: saves => `shutout, ${saves} saves`,
+    highlightCard: {
+      title: ({ scorer }) => `Goal: ${scorer}`,
+      description: ({ scorer, team, away, home, time, period }) => `${scorer} (${team}) scores, ${away} vs. ${home}, ${time} of period ${period}`,
+      alt: ({ scorer, team, away, home }) => `Highlight clip of the goal by ${scorer} (${team}), ${away} vs. ${home}`
+    }
+  },
+  fr: {
+    // '1er' but de la saison, '2e', '3e', ...
+    ordinal: number => number === 1 ? '1er' : `${number}e`,
+    strength: {
+      PPG: 'But en avantage numérique',
+      SHG: 'But en désavantage numérique',
+      EN: 'But dans un filet désert',
+      PS: 'Tir de pénalité'
+    },
+    shotType: {
+      wrist: 'Lancer du poignet',
+      snap: 'Lancer sec',
+      slap: 'Lancer frappé',
+      backhand: 'Revers',
+      'tip-in': 'Déviation',
+      deflected: 'Rondelle déviée',
+      'wrap-around': 'Tour du filet',
+      'between-legs': 'Entre les jambes',
+      poke: 'Poussée',
+      bat: 'Au bâton',
+      cradle: 'Michigan'
+    },
+    hatTrick: '🎩 Tour du chapeau!',
+    goalsTonight: count => `${count} buts ce soir!`,
+    overtimeWinner: 'But gagnant en prolongation!',
+    milestone: ({ type, stat, count, team }, playoffs) => {
+      const kind = { goal: 'but', assist: 'aide', point: 'point' }[stat];
+      const playoffSuffix = playoffs ? ' en séries' : '';
+      if (type === 'first-goal') return `🎉 Premier but dans la LNH${playoffSuffix}!`;
+      if (type === 'franchise') return `🏆 ${count}e ${kind}${playoffSuffix} avec ${team}!`;
+      return `🏆 ${count}e ${kind} en carrière${playoffSuffix}!`;
+    },
+    correction: {
+      scorer: 'Marqueur',
+      assists: 'Aides',
+      period: 'Période',
+      score: 'Pointage'
+    },
+    none: 'aucun',
+    unknownPlayer: 'Joueur inconnu',
+    periodEnd: ({ periodType, number }) => {
+      if (periodType === 'OT') {
+        return number > 4 ? `Fin de la ${number - 3}e prolongation` : 'Fin de la prolongation';
+      }
+      return `Fin de la ${number === 1 ? '1re' : `${number}e`} période`;
+    },
+    finalLabel: (periodType, overtimes) => {
+      if (periodType === 'SO') return 'FINAL/TB';
+      if (periodType === 'OT') return overtimes > 1 ? `FINAL/${overtimes}PROL` : 'FINAL/PROL';
+      return 'FINAL';
+    },
+    threeStars: 'Trois étoiles :',
+    shootoutRound: round => `Ronde ${round}`,
+    shootoutWinner: (team, winnerGoals, loserGoals) => `${team} gagne les tirs de barrage ${winnerGoals}-${loserGoals}`,
+    shootoutTied: (away, home) => `Tirs de barrage : ${away}-${home}`,
+    overtimeMarker: (periodType, overtimes) => {
+      if (periodType === 'SO') return 'TB';
+      if (periodType === 'OT') return overtimes > 1 ? `${overtimes}PROL` : 'PROL';
+      return null;
+    },
+    recapDate: date => date.toLocaleDateString('fr-CA', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' }),
+    playerPoints: (goals, assists) => `${goals} B, ${assists} A`,
+    shutout: saves => `blanchissage, ${saves} arrêts`,
+    highlightCard: {
+      title: ({ scorer }) => `But : ${scorer}`,
+      description: ({ scorer, team, away, home, time, period }) => `${scorer} (${team}) marque, ${away} c. ${home}, à ${time} de la période ${period}`,
+      alt: ({ scorer, team, away, home }) => `Extrait vidéo du but de ${scorer} (${team}), ${away} c. ${home}`
+    }
+  }
+};
+
+// Long but plausible values, used to check templates against the post length limit
+const sampleValues = {
+  goal: {
+    away: 'CBJ', home: 'VGK', team: 'CBJ',
+    scorer: 'Alexandre Carrier-Bourgeois (#88)',
+    seasonGoals: '23rd',
+    details: 'Shorthanded goal · Empty-net goal · Between the legs',
+    callouts: '🎩 Hat trick!\nGame winner in overtime!\nJean-Gabriel Pageau-Lemieux (#44): 🏆 1000th career playoff point!',
+    assists: 'Jean-Gabriel Pageau-Lemieux (#44) (31), Oliver Ekman-Larsson (#23) (20)',
+    time: '19:59', period: 'OT', score: '10 - 10'
+  },
+  correction: {
+    away: 'CBJ', home: 'VGK',
+    changes: 'Scorer: Alexandre Carrier-Bourgeois (#88) → Jean-Gabriel Pageau-Lemieux (#44)\n' +
+      'Assists: Oliver Ekman-Larsson (#23) → Alexandre Carrier-Bourgeois (#88), Oliver Ekman-Larsson (#23)',
+    time: '19:59', period: 'OT', score: '10 - 10'
+  },
+  overturn: {
+    away: 'CBJ', home: 'VGK', team: 'CBJ',
+    scorer: 'Alexandre Carrier-Bourgeois (#88)',
+    time: '19:59', period: 'OT', score: '10 - 10'
+  },
+  highlight: {
+    away: 'CBJ', home: 'VGK', team: 'CBJ',
+    scorer: 'Alexandre Carrier-Bourgeois (#88)',
+    time: '19:59', period: 'OT'
+  },
+  start: { away: 'CBJ', home: 'VGK' },
+  periodEnd: {
+    away: 'CBJ', home: 'VGK', periodName: '3OT', periodEnd: 'Fin de la 3e prolongation',
+    awayScore: 10, homeScore: 10, awayShots: 100, homeShots: 100
+  },
+  shootout: {
+    away: 'CBJ', home: 'VGK',
+    rounds: Array.from({ length: 3 }, (_, i) =>
+      `Round ${i + 1}: CBJ Alexandre Carrier-Bourgeois (#88) ✅ | VGK Jean-Gabriel Pageau-Lemieux (#44) ❌`
+    ).join('\n'),
+    result: 'CBJ wins the shootout 3-2'
+  },
+  final: {
+    away: 'CBJ', home: 'VGK', finalLabel: 'FINAL/3OT',
+    awayScore: 10, homeScore: 9, awayShots: 100, homeShots: 100,
+    gwgScorer: 'Alexandre Carrier-Bourgeois (#88)', gwgTeam: 'CBJ',
+    threeStars: 'Three stars:\n1. Alexandre Carrier-Bourgeois (CBJ)\n2. Jean-Gabriel Pageau-Lemieux (CBJ)\n3. Oliver Ekman-Larsson (VGK)'
+  },
+  gameWinner: {
+    away: 'CBJ', home: 'VGK', team: 'CBJ',
+    scorer: 'Alexandre Carrier-Bourgeois (#88)',
+    time: '19:59', period: 3, finalLabel: 'FINAL', awayScore: 10, homeScore: 9
+  },
+  // Recap lists are split over as many posts as they need, so one line is enough here
+  recapScores: { date: 'Wed, Dec 30', scores: 'CBJ 10 - 9 VGK (3PROL)' },
+  recapPerformances: { performances: '🎩 Alexandre Carrier-Bourgeois (CBJ) 10 B, 10 A' },
+  recapSlate: { date: 'Wed, Dec 30', games: 'CBJ @ VGK 10:30 PM EST' }
+};
+
+let overrides = {};
+
+function getLocale() {
+  return templates[config.LOCALE] ? config.LOCALE : 'en';
+}
+
+export function getLabels() {
+  return labels[getLocale()];
+}
+
+// Picks the active locale from an API name object like { default: 'Montréal', fr: 'Montréal' }
+export function localizeName(name) {
+  if (!name || typeof name === 'string') {
+    return name || '';
+  }
+  return name[config.LOCALE] || name.default || '';
+}
+
+function getTemplateLines(name) {
+  const template = overrides[name] || templates[getLocale()][name];
+  return Array.isArray(template) ? template : template.split('\n');
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+export function renderTemplate(name, values, limit = config.MAX_POST_LENGTH) {
+  const lines = [];
+  for (const line of getTemplateLines(name)) {
+    const placeholders = [...line.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    if (placeholders.length > 0 && placeholders.every(key => isEmpty(values[key]))) {
+      continue;
+    }
+    lines.push(line.replace(/\{(\w+)\}/g, (match, key) => isEmpty(values[key]) ? '' : String(values[key])));
+  }
+  return fitToLimit(lines.join('\n'), limit);
+}
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function toGraphemes(text) {
+  return Array.from(segmenter.segment(text), segment => segment.segment);
+}
+
+// Bluesky counts post length in graphemes, so emoji and accented names count as one
+export function countGraphemes(text) {
+  return toGraphemes(text).length;
+}
+
+function truncateLine(line, maxLength) {
+  const graphemes = toGraphemes(line);
+  if (graphemes.length <= maxLength) {
+    return line;
+  }
+  let cut = graphemes.slice(0, Math.max(maxLength - 1, 0)).join('');
+  // Prefer ending on a word or list boundary over cutting a name in half
+  const boundary = Math.max(cut.lastIndexOf(', '), cut.lastIndexOf(' '));
+  if (boundary > cut.length / 2) {
+    cut = cut.slice(0, boundary);
+  }
+  return `${cut.replace(/[\s,·|-]+$/, '')}…`;
+}
+
+// Shortens the longest lines first so the heading, time and score survive intact
+export function fitToLimit(text, limit = config.MAX_POST_LENGTH) {
+  const lines = text.split('\n');
+  const total = () => countGraphemes(lines.join('\n'));
+
+  for (let attempt = 0; attempt < lines.length * 2 && total() > limit; attempt++) {
+    const lengths = lines.map(countGraphemes);
+    const longest = lengths.indexOf(Math.max(...lengths));
+    const target = Math.max(lengths[longest] - (total() - limit), Math.ceil(lengths[longest] / 2), 1);
+    lines[longest] = truncateLine(lines[longest], target);
+  }
+
+  if (total() <= limit) {
+    return lines.join('\n');
+  }
+  return truncateLine(lines.join('\n'), limit);
+}
+
+// Loads template overrides for the active locale and warns about any override
+// whose longest plausible rendering would be truncated
+export function loadTemplates(file = config.TEMPLATES_FILE) {
+  if (!templates[config.LOCALE]) {
+    throw new Error(`Unknown LOCALE "${config.LOCALE}", expected one of: ${Object.keys(templates).join(', ')}`);
+  }
+
+  overrides = {};
+  if (file) {
+    let loaded;
+    try {
+      loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read templates file ${file}: ${error.message}`);
+    }
+
+    for (const [name, template] of Object.entries(loaded)) {
+      if (!sampleValues[name]) {
+        throw new Error(`Unknown template "${name}" in ${file}, expected one of: ${Object.keys(sampleValues).join(', ')}`);
+      }
+      const text = Array.isArray(template) ? template.join('\n') : template;
+      const unknown = [...text.matchAll(/\{(\w+)\}/g)]
+        .map(match => match[1])
+        .filter(key => !(key in sampleValues[name]));
+      if (unknown.length > 0) {
+        throw new Error(`Template "${name}" in ${file} uses unknown placeholders: ${unknown.join(', ')}`);
+      }
+      overrides[name] = template;
+    }
+  }
+
+  for (const name of Object.keys(overrides)) {
+    const length = countGraphemes(renderTemplate(name, sampleValues[name], Infinity));
+    if (length > config.MAX_POST_LENGTH) {
+      logger.warn('Template can exceed the post length, long posts will be shortened', {
+        template: name,
+        graphemes: length,
+        limit: config.MAX_POST_LENGTH
+      });
+    }
+  }
+}
@@ -0,0 +1,74 @@
+import * as clock from './clock.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The NHL schedule dates games in ET, and the latest games end around 2 AM ET, so a
+// hockey day runs from 6 AM ET to 6 AM ET the next morning
+const HOCKEY_DAY_START_HOUR = 6;
+
+const easternParts = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Fields can be left out by passing them as undefined, e.g. { year: undefined, ... } for '7:00 PM EST'
+export function formatEasternTime(date, options = {}) {
+  return date.toLocaleString('en-US', {
+    timeZone: 'America/New_York',
+    month: 'numeric',
+    day: 'numeric',
+    year: '2-digit',
+    hour: 'numeric',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: true,
+    timeZoneName: 'short',
+    ...options
+  });
+}
+
+// Adds days to a YYYY-MM-DD date
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T12:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+}
+
+// The schedule date (YYYY-MM-DD) of the games being played at this time, e.g. 1 AM ET
+// on Nov 3 is still Nov 2's hockey day. Follows EST and EDT from the time zone rules.
+export function getHockeyDate(date = new Date(clock.now())) {
+  const parts = Object.fromEntries(easternParts.formatToParts(date).map(part => [part.type, part.value]));
+  const calendarDate = `${parts.year}-${parts.month}-${parts.day}`;
+  return Number(parts.hour) < HOCKEY_DAY_START_HOUR ? addDays(calendarDate, -1) : calendarDate;
+}
+
+// e.g. '7:00 PM'
+export function formatEasternClock(date) {
+  return date.toLocaleTimeString('en-US', { timeZone: 'America/New_York', hour: 'numeric', minute: '2-digit' });
+}
+
+// 1st, 2nd, 3rd, 4th, 11th, 12th, 13th, 21st, ...
+export function ordinal(number) {
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) {
+    return `${number}th`;
+  }
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${number}${suffixes[number % 10] || 'th'}`;
+}
+
+// Runs fn over items with at most limit calls in flight, resolving to the results in order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
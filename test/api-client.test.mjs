@@ -0,0 +1,24 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.mjs';
+import { createApiClient } from '../src/api-client.mjs';
+
+const defaultTimeout = config.API_TIMEOUT;
+
+afterEach(() => {
+  config.API_TIMEOUT = defaultTimeout;
+});
+
+// Never answers, so the request only ends when it's aborted
+function hangingFetch(url, { signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  });
+}
+
+test('API_TIMEOUT loaded after the client is built still applies', async () => {
+  const client = createApiClient({ fetch: hangingFetch });
+  config.API_TIMEOUT = 50;
+
+  await assert.rejects(client.getJson('/schedule/now'), /Request timed out after 50ms/);
+});
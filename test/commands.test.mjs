@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as clock from '../src/clock.mjs';
+import { setLogLevel } from '../src/logger.mjs';
+import { setFetch } from '../src/nhl-api.mjs';
+import { config } from '../src/config.mjs';
+import { processPostQueue, resetPostQueue, getQueueStatus } from '../src/post-queue.mjs';
+import { handleMessage } from '../src/commands.mjs';
+
+setLogLevel('error');
+
+const scores = {
+  games: [{
+    awayTeam: { abbrev: 'TOR', score: 2 },
+    homeTeam: { abbrev: 'MTL', score: 1 },
+    gameState: 'FINAL',
+    gameOutcome: { lastPeriodType: 'REG' }
+  }]
+};
+
+let messageCount = 0;
+
+function queueHelp(author) {
+  return handleMessage({ id: `message-${++messageCount}`, sink: 'capture', userId: author, author, text: 'help', direct: true, reply: async () => null });
+}
+
+// A message from its own user, so the per-user rate limit never gets in the way
+async function send(text, direct = false) {
+  const replies = [];
+  const id = ++messageCount;
+  await handleMessage({
+    id: `message-${id}`,
+    sink: 'capture',
+    userId: `user-${id}`,
+    author: `fan${id}.bsky.social`,
+    text,
+    direct,
+    reply: async reply => {
+      replies.push(reply);
+      return { id: `reply-${id}` };
+    }
+  });
+  await processPostQueue();
+  return replies;
+}
+
+beforeEach(() => {
+  clock.setClock(clock.createSimulatedClock(Date.parse('2024-11-03T03:00:00Z')));
+  setFetch(async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: name => name.toLowerCase() === 'content-type' ? 'application/json' : null },
+    json: async () => scores
+  }));
+  resetPostQueue();
+});
+
+afterEach(() => {
+  clock.setClock(null);
+  setFetch(null);
+});
+
+test('a public reply that only starts with a command word gets no answer', async () => {
+  assert.deepEqual(await send('@nhl-goal-bot.bsky.social score is wrong, it was 2-1'), []);
+  assert.deepEqual(await send('Score was 3-1 before the review'), []);
+  assert.deepEqual(await send('follow the puck'), []);
+});
+
+test('a public command with a team is answered', async () => {
+  assert.deepEqual(await send('@nhl-goal-bot.bsky.social score TOR'), ['TOR today:\nTOR 2 - 1 MTL (Final)']);
+});
+
+test('only known teams count as team arguments', async () => {
+  // In a DM the message is still answered, but "is" isn't taken for a team
+  assert.deepEqual(await send('score is', true), ["Today's games:\nTOR 2 - 1 MTL (Final)"]);
+});
+
+test('a user who keeps sending commands keeps their rate limit while quieter users are forgotten', async t => {
+  const burst = config.COMMAND_BURST;
+  t.after(() => {
+    config.COMMAND_BURST = burst;
+  });
+  config.COMMAND_BURST = 1;
+  const queued = () => getQueueStatus().pending;
+
+  await queueHelp('busy.bsky.social');
+  for (let i = 1; i < 1000; i++) {
+    await queueHelp(`quiet${i}.bsky.social`);
+  }
+  assert.equal(queued(), 1000);
+
+  // Over the limit, but the attempt still counts as the busy user's latest activity
+  await queueHelp('busy.bsky.social');
+  await queueHelp('newcomer.bsky.social');
+  await queueHelp('busy.bsky.social');
+  assert.equal(queued(), 1001);
+});
@@ -0,0 +1,268 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as clock from '../src/clock.mjs';
+import { config } from '../src/config.mjs';
+import { setLogLevel } from '../src/logger.mjs';
+import { renderMetrics } from '../src/metrics.mjs';
+import { loadState, saveState, getState } from '../src/state-store.mjs';
+import { createSinks } from '../src/sinks/index.mjs';
+import { processPostQueue, resetPostQueue } from '../src/post-queue.mjs';
+import { initGoalBot, handleGoalUpdate, reconcilePostedGoals } from '../src/goal-bot.mjs';
+import { runReplay } from '../src/replay.mjs';
+
+// Goal handling on the simulated clock, posting to the capture sink. Player stats,
+// milestones and highlights would call the NHL API, so they're left off.
+config.SEASON_STATS = false;
+config.MILESTONES = false;
+config.HIGHLIGHTS = false;
+setLogLevel('error');
+
+const START_TIME = Date.parse('2024-11-02T23:30:00Z');
+const GAME_ID = 2024020123;
+const TEAMS = { away: 'TOR', home: 'MTL' };
+
+const goal = {
+  eventId: 101,
+  scorerId: 1,
+  scorer: 'Auston Matthews (#34)',
+  assists: 'Mitch Marner (#16)',
+  assistIds: [2],
+  assistNames: ['Mitch Marner (#16)'],
+  assistSeasonTotals: [null],
+  assistGameAssists: [1],
+  time: '05:12',
+  period: 1,
+  team: 'TOR',
+  score: '1 - 0',
+  rawScores: { away: 1, home: 0 },
+  strength: [],
+  shotType: null,
+  scorerGameGoals: 1,
+  scorerSeasonGoals: null
+};
+
+const swapped = {
+  ...goal,
+  scorerId: 2,
+  scorer: 'Mitch Marner (#16)',
+  assists: 'Auston Matthews (#34)',
+  assistIds: [1],
+  assistNames: ['Auston Matthews (#34)']
+};
+
+describe('goal updates', () => {
+  let sink;
+  let stateDir;
+
+  beforeEach(async () => {
+    clock.setClock(clock.createSimulatedClock(START_TIME));
+    stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nhl-goal-bot-test-'));
+    const state = await loadState(path.join(stateDir, 'state.json'));
+    [sink] = createSinks(['capture']);
+    initGoalBot({ state, sinks: [sink] });
+    resetPostQueue();
+  });
+
+  afterEach(async () => {
+    await saveState();
+    await fs.rm(stateDir, { recursive: true, force: true });
+    clock.setClock(null);
+  });
+
+  async function poll(update) {
+    await handleGoalUpdate(GAME_ID, update, TEAMS);
+    await processPostQueue();
+  }
+
+  async function postGoal() {
+    await poll(goal);
+    await clock.delay(config.INITIAL_DELAY);
+    await poll(goal);
+    assert.equal(sink.posts.length, 1);
+  }
+
+  test('a new goal waits out INITIAL_DELAY and is posted as it stands by then', async () => {
+    const revised = { ...goal, scorerId: 3, scorer: 'William Nylander (#88)' };
+
+    await poll(goal);
+    await clock.delay(20000);
+    await poll(revised);
+    assert.equal(sink.posts.length, 0);
+
+    await clock.delay(config.INITIAL_DELAY - 20000);
+    await poll(revised);
+    assert.equal(sink.posts.length, 1);
+    assert.match(sink.posts[0].text, /William Nylander \(#88\) \(TOR\) is the scorer!/);
+    assert.doesNotMatch(sink.posts[0].text, /Auston Matthews/);
+  });
+
+  test('a scorer change while the post is queued rebuilds the waiting post', async () => {
+    const revised = { ...goal, scorerId: 3, scorer: 'William Nylander (#88)' };
+
+    await poll(goal);
+    await clock.delay(config.INITIAL_DELAY);
+    await handleGoalUpdate(GAME_ID, goal, TEAMS);
+    await handleGoalUpdate(GAME_ID, revised, TEAMS);
+    await processPostQueue();
+
+    assert.equal(sink.posts.length, 1);
+    assert.match(sink.posts[0].text, /William Nylander \(#88\) \(TOR\) is the scorer!/);
+  });
+
+  test('a scorer and assist swap after posting queues exactly one correction', async () => {
+    await postGoal();
+
+    await handleGoalUpdate(GAME_ID, swapped, TEAMS);
+    await handleGoalUpdate(GAME_ID, swapped, TEAMS);
+    await processPostQueue();
+    await poll(swapped);
+
+    assert.equal(sink.posts.length, 2);
+    const correction = sink.posts[1];
+    assert.match(correction.text, /^CORRECTION:/);
+    assert.match(correction.text, /Scorer: Auston Matthews \(#34\) → Mitch Marner \(#16\)/);
+    assert.match(correction.text, /Assists: Mitch Marner \(#16\) → Auston Matthews \(#34\)/);
+    assert.equal(correction.quoted, sink.posts[0].id);
+  });
+
+  test('a clock change alone posts nothing but shows in later corrections', async () => {
+    await postGoal();
+
+    await poll({ ...goal, time: '05:14' });
+    assert.equal(sink.posts.length, 1);
+
+    await poll({ ...swapped, time: '05:14' });
+    assert.equal(sink.posts.length, 2);
+    assert.match(sink.posts[1].text, /Time: 05:14 - 1/);
+  });
+
+  test('unchanged repeats of a queued or posted goal are counted as skipped duplicates', async () => {
+    const skipped = () => Number(renderMetrics().match(/^nhl_goal_bot_duplicates_skipped_total (\d+)$/m)[1]);
+    const before = skipped();
+
+    await poll(goal);
+    await clock.delay(config.INITIAL_DELAY);
+    await handleGoalUpdate(GAME_ID, goal, TEAMS);
+    await handleGoalUpdate(GAME_ID, goal, TEAMS);
+    await processPostQueue();
+    await poll(goal);
+    await poll({ ...goal, time: '05:14' });
+
+    assert.equal(sink.posts.length, 1);
+    assert.equal(skipped(), before + 2);
+  });
+
+  test('a goal removed from the play-by-play is announced as overturned', async () => {
+    await postGoal();
+    const data = {
+      awayTeam: { id: 10, abbrev: 'TOR', score: 0 },
+      homeTeam: { id: 8, abbrev: 'MTL', score: 0 },
+      plays: []
+    };
+
+    // One missing poll could be an incomplete response
+    await reconcilePostedGoals(GAME_ID, data, TEAMS);
+    await processPostQueue();
+    assert.equal(sink.posts.length, 1);
+
+    await reconcilePostedGoals(GAME_ID, data, TEAMS);
+    await processPostQueue();
+    assert.equal(sink.posts.length, 2);
+    assert.match(sink.posts[1].text, /^Goal overturned ❌/);
+    assert.match(sink.posts[1].text, /Auston Matthews \(#34\) \(TOR\) no longer has the goal at 05:12 - 1/);
+    assert.equal(sink.posts[1].quoted, sink.posts[0].id);
+  });
+
+  // The capture sink turns posts down until the outage ends, while the goal is polled every 10 seconds
+  async function pollThroughOutage(outageMinutes, pollMinutes) {
+    const post = sink.post;
+    const outageEnd = clock.now() + config.INITIAL_DELAY + outageMinutes * 60 * 1000;
+    sink.post = request => (clock.now() < outageEnd ? Promise.reject(new Error('HTTP error! status: 503')) : post(request));
+
+    const pollUntil = clock.now() + pollMinutes * 60 * 1000;
+    while (clock.now() < pollUntil && sink.posts.length === 0) {
+      await poll(goal);
+      await clock.delay(10000);
+    }
+  }
+
+  test('posts wait out a sink pause without using up their attempts', async () => {
+    await pollThroughOutage(4, 15);
+
+    assert.equal(sink.posts.length, 1);
+    assert.equal(getState().deadLetters.length, 0);
+  });
+
+  test('a goal post given up on is queued again on a later poll', async () => {
+    await pollThroughOutage(20, 30);
+
+    assert.equal(sink.posts.length, 1);
+    assert.ok(getState().deadLetters.length > 0);
+    assert.equal(getState().goals[`${GAME_ID}-${goal.eventId}`].deadLettered, undefined);
+  });
+
+  test('a sink that hangs holds up only its own posts', async () => {
+    const [hung] = createSinks([{ type: 'capture', name: 'hung' }]);
+    const post = hung.post;
+    let release;
+    hung.post = request => new Promise(resolve => {
+      release = () => resolve(post(request));
+    });
+    initGoalBot({ state: getState(), sinks: [sink, hung] });
+    const nextGoal = { ...goal, eventId: 102, time: '08:40', score: '2 - 0', rawScores: { away: 2, home: 0 } };
+
+    for (const update of [goal, nextGoal]) {
+      await handleGoalUpdate(GAME_ID, update, TEAMS);
+    }
+    await clock.delay(config.INITIAL_DELAY);
+    for (const update of [goal, nextGoal]) {
+      await handleGoalUpdate(GAME_ID, update, TEAMS);
+    }
+
+    // The capture sink's posts don't wait for the hung sink's first one
+    const hungDelivery = processPostQueue();
+    for (let i = 0; i < 100 && sink.posts.length < 2; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(sink.posts.length, 2);
+    assert.equal(hung.posts.length, 0);
+
+    hung.post = post;
+    release();
+    await hungDelivery;
+    assert.deepEqual(hung.posts.map(post => post.replyTo), [null, 'hung-1']);
+  });
+});
+
+// Recorded play-by-play in fixtures/, replayed through the whole poll cycle
+describe('replays', () => {
+  function replay(t, fixture) {
+    t.mock.method(console, 'log', () => {});
+    return runReplay(path.join(import.meta.dirname, '..', 'fixtures', fixture), { startTime: START_TIME });
+  }
+
+  test('replay: NHL revisions before and after posting', async t => {
+    const posts = await replay(t, 'goal-revisions');
+
+    // The scorer change during INITIAL_DELAY, the clock change and the scorer and
+    // assist swap come out as one goal post and one correction
+    assert.deepEqual(posts.map(post => post.text.split('\n')[0]), ['GOAL! 🚨', 'CORRECTION:', 'GOAL! 🚨']);
+    assert.match(posts[0].text, /William Nylander \(#88\) \(TOR\) is the scorer!/);
+    assert.match(posts[1].text, /Scorer: William Nylander \(#88\) → Auston Matthews \(#34\)/);
+    assert.match(posts[1].text, /Time: 05:14 - 1/);
+    assert.equal(posts[1].quoted, posts[0].id);
+    assert.match(posts[2].text, /Cole Caufield \(#22\) \(MTL\) is the scorer!/);
+  });
+
+  test('replay: an added assist and an overturned goal', async t => {
+    const posts = await replay(t, 'overturned-goal');
+
+    assert.deepEqual(posts.map(post => post.text.split('\n')[0]), ['GOAL! 🚨', 'CORRECTION:', 'GOAL! 🚨', 'Goal overturned ❌']);
+    assert.match(posts[1].text, /Assists: Mitch Marner \(#16\) → Mitch Marner \(#16\), William Nylander \(#88\)/);
+    assert.match(posts[3].text, /Cole Caufield \(#22\) \(MTL\) no longer has the goal/);
+    assert.equal(posts[3].quoted, posts[2].id);
+  });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGoalKey, getUpdatedFields, getOverturnReason } from '../src/goals.mjs';
+
+const goal = {
+  eventId: 101,
+  scorer: 'Auston Matthews (#34)',
+  assists: 'Mitch Marner (#16)',
+  time: '05:12',
+  period: 1,
+  score: '1 - 0'
+};
+
+test('createGoalKey keeps the same key when the NHL revises a goal', () => {
+  const revised = { ...goal, scorer: 'William Nylander (#88)', time: '05:14', score: '2 - 0' };
+  assert.equal(createGoalKey(2024020123, goal), '2024020123-101');
+  assert.equal(createGoalKey(2024020123, revised), createGoalKey(2024020123, goal));
+  assert.notEqual(createGoalKey(2024020124, goal), createGoalKey(2024020123, goal));
+});
+
+test('getUpdatedFields finds nothing for an unchanged goal', () => {
+  assert.deepEqual(getUpdatedFields({ ...goal }, goal), []);
+});
+
+test('getUpdatedFields ignores a clock change', () => {
+  assert.deepEqual(getUpdatedFields({ ...goal, time: '05:14' }, goal), []);
+});
+
+test('getUpdatedFields lists both fields of a scorer and assist swap', () => {
+  const swapped = { ...goal, scorer: 'Mitch Marner (#16)', assists: 'Auston Matthews (#34)' };
+  assert.deepEqual(getUpdatedFields(swapped, goal), ['scorer', 'assists']);
+});
+
+test('getUpdatedFields lists a removed assist', () => {
+  assert.deepEqual(getUpdatedFields({ ...goal, assists: '' }, goal), ['assists']);
+});
+
+test('getUpdatedFields lists period and score changes', () => {
+  const moved = { ...goal, period: 2, score: '2 - 0' };
+  assert.deepEqual(getUpdatedFields(moved, goal), ['period', 'score']);
+});
+
+function createGoalPlay(eventId, awayScore, typeDescKey = 'goal') {
+  return {
+    eventId,
+    typeDescKey,
+    periodDescriptor: { number: 1, periodType: 'REG' },
+    details: { eventOwnerTeamId: 10, awayScore, homeScore: 0 }
+  };
+}
+
+test('getOverturnReason keeps a later goal when a reversed goal lingers in the feed', () => {
+  // The first goal was reversed: the scoreboard dropped it but its play is still there
+  const data = {
+    awayTeam: { id: 10, abbrev: 'TOR', score: 1 },
+    homeTeam: { id: 8, abbrev: 'MTL', score: 0 },
+    plays: [createGoalPlay(101, 1), createGoalPlay(102, 2)]
+  };
+  const entry = { goal: { ...goal, eventId: 102, score: '2 - 0', rawScores: { away: 2, home: 0 } } };
+  assert.equal(getOverturnReason(entry, data), null);
+});
+
+test('getOverturnReason flags a goal whose play is gone or no longer a goal', () => {
+  const entry = { goal };
+  const data = {
+    awayTeam: { id: 10, abbrev: 'TOR', score: 0 },
+    homeTeam: { id: 8, abbrev: 'MTL', score: 0 },
+    plays: []
+  };
+  assert.equal(getOverturnReason(entry, data), 'removed');
+  assert.equal(getOverturnReason(entry, { ...data, plays: [createGoalPlay(101, 0, 'shot-on-goal')] }), 'no longer a goal');
+});
@@ -0,0 +1,34 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.mjs';
+import { findHighlight, buildHighlightMedia } from '../src/highlights.mjs';
+
+const goal = { eventId: 101, scorer: 'Cole Caufield (#22)', team: 'MTL', time: '09:40', period: 2 };
+const teams = { away: 'TOR', home: 'MTL' };
+const highlight = { url: 'https://nhl.com/video/101', thumbnailUrl: 'https://nhl.com/thumb/101.jpg' };
+
+afterEach(() => {
+  config.LOCALE = 'en';
+});
+
+test('buildHighlightMedia describes the clip in the configured locale', () => {
+  config.LOCALE = 'fr';
+  const media = buildHighlightMedia(highlight, goal, teams, 'image');
+
+  assert.equal(media.type, 'image');
+  assert.equal(media.title, 'But : Cole Caufield (#22)');
+  assert.equal(media.description, 'Cole Caufield (#22) (MTL) marque, TOR c. MTL, à 09:40 de la période 2');
+  assert.equal(media.alt, 'Extrait vidéo du but de Cole Caufield (#22) (MTL), TOR c. MTL');
+});
+
+test('findHighlight leaves out player headshots, which are no clip thumbnail', () => {
+  const landing = {
+    summary: {
+      scoring: [{ goals: [{ eventId: 101, highlightClipSharingUrl: highlight.url, headshot: 'https://nhl.com/headshot/4.png' }] }]
+    }
+  };
+  const found = findHighlight(101, { plays: [] }, landing);
+
+  assert.deepEqual(found, { url: highlight.url, thumbnailUrl: null });
+  assert.equal(buildHighlightMedia(found, goal, teams, 'image').type, 'link');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addGameRichText } from '../src/rich-text.mjs';
+
+// Facets index UTF-8 bytes, so everything after an emoji or an accented letter sits
+// further along than its JavaScript string index
+function facetText(text, facet) {
+  return Buffer.from(text).subarray(facet.index.byteStart, facet.index.byteEnd).toString();
+}
+
+test('addGameRichText counts facet offsets in UTF-8 bytes after emoji and accented names', () => {
+  const body = 'GOAL! 🚨\nJuraj Slafkovský (#20) (MTL) is the scorer!\nAssists: Kirby Dach (#77), Cole Caufield (#22)';
+  const players = [
+    { id: 8483515, name: 'Juraj Slafkovský (#20)' },
+    { id: 8481523, name: 'Kirby Dach (#77)' },
+    { id: 8481540, name: 'Cole Caufield (#22)' }
+  ];
+  const { text, facets } = addGameRichText(body, 2024020123, { away: 'TOR', home: 'MTL' }, players);
+
+  assert.deepEqual(facets.map(facet => facetText(text, facet)), [
+    'Juraj Slafkovský',
+    'Kirby Dach',
+    'Cole Caufield',
+    '#TORvsMTL',
+    '#LeafsForever',
+    '#GoHabsGo',
+    'https://www.nhl.com/gamecenter/2024020123'
+  ]);
+  // '🚨' is 4 bytes for 2 string units and 'ý' 2 bytes for 1, so the second name is 3 bytes
+  // past its string index
+  assert.deepEqual(facets[0].index, { byteStart: 11, byteEnd: 28 });
+  assert.equal(facets[1].index.byteStart, body.indexOf('Kirby') + 3);
+  assert.deepEqual(facets[0].features, [{ $type: 'app.bsky.richtext.facet#link', uri: 'https://www.nhl.com/player/8483515' }]);
+});
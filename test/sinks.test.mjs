@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSinks, publish } from '../src/sinks/index.mjs';
+
+const mastodonEnv = { MASTODON_BASE_URL: 'https://mastodon.example', MASTODON_ACCESS_TOKEN: 'token' };
+
+test('createSinks rejects an unknown Mastodon visibility', () => {
+  assert.throws(
+    () => createSinks(['mastodon'], { ...mastodonEnv, MASTODON_VISIBILITY: 'friends' }),
+    /mastodon sink has unknown visibility "friends"/
+  );
+  assert.equal(createSinks(['mastodon'], { ...mastodonEnv, MASTODON_VISIBILITY: 'unlisted' }).length, 1);
+});
+
+function timedOut() {
+  const error = new Error('capture post timed out after 30000ms');
+  error.uncertain = true;
+  return error;
+}
+
+test('publish does not send a timed out post again when the sink has no way to check for it', async () => {
+  const [sink] = createSinks(['capture']);
+  let attempts = 0;
+  sink.post = async () => {
+    attempts++;
+    throw timedOut();
+  };
+
+  await assert.rejects(publish([sink], { text: 'GOAL!' }), { uncertain: true });
+  assert.equal(attempts, 1);
+});
+
+test('publish takes a timed out post the sink finds afterwards as sent', async () => {
+  const [sink] = createSinks(['capture']);
+  let attempts = 0;
+  sink.post = async () => {
+    attempts++;
+    throw timedOut();
+  };
+  sink.findPost = async ({ text }) => (text === 'GOAL!' ? { id: 'capture-1' } : null);
+
+  assert.deepEqual(await publish([sink], { text: 'GOAL!' }), { capture: { id: 'capture-1' } });
+  assert.equal(attempts, 1);
+  assert.equal(sink.health.consecutiveFailures, 0);
+});